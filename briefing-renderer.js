@@ -0,0 +1,318 @@
+const fs = require('fs');
+const path = require('path');
+const PNG = require('pngjs').PNG;
+const PCX = require('pcx-js');
+const { readHog, decodeTxb, parseBriefing, decodeFont, D1_BRIEFING_SCREENS } = require('./extractor');
+const { encodeGif } = require('./gif-encoder');
+
+const hogFile = './input/DESCENT.HOG';
+const outputDir = './converted/briefings';
+
+const SCREEN_WIDTH = 320;
+const SCREEN_HEIGHT = 200;
+
+// Briefings are written with the small game font
+const BRIEFING_FONT = 'font3-1.fnt';
+
+// Game palette, for the screens drawn without a background
+const GAME_PALETTE = 'palette.256';
+
+// Text window used when the layout doesn't give one for a screen
+const DEFAULT_WINDOW = { x: 20, y: 22, width: 257, height: 177 };
+
+// The Descent 1 briefing takes its backgrounds and text windows from the game's table
+const D1_BRIEFING = 'briefing.txb';
+
+// $C1 and $C2 text colors (6 bits per channel like the game palette)
+const TEXT_COLORS = [[0, 54, 0], [42, 38, 32]];
+
+// Characters revealed per GIF frame and how long the finished page stays (1/100 s)
+const CHARACTERS_PER_FRAME = 2;
+const FRAME_DELAY = 3;
+const HOLD_DELAY = 300;
+
+// Closest palette index of a 6-bit color, like gr_find_closest_color()
+function closestColor(palette, rgb) {
+    let best = 0;
+    let bestDistance = Infinity;
+    for (let i = 0; i < 256; i++) {
+        const dr = palette[i * 3] - rgb[0] * 4;
+        const dg = palette[i * 3 + 1] - rgb[1] * 4;
+        const db = palette[i * 3 + 2] - rgb[2] * 4;
+        const distance = dr * dr + dg * dg + db * db;
+        if (distance < bestDistance) {
+            best = i;
+            bestDistance = distance;
+        }
+    }
+    return best;
+}
+
+// Palette of a .256 file (6 bits per channel) as 8-bit RGB. Without one the
+// text colors follow black, so there is something to draw the text with.
+function gamePalette(data) {
+    const palette = Buffer.alloc(768);
+    if (data) {
+        for (let i = 0; i < 768; i++) {
+            palette[i] = data[i] * 4;
+        }
+    } else {
+        TEXT_COLORS.forEach((rgb, i) => {
+            rgb.forEach((value, c) => {
+                palette[(i + 1) * 3 + c] = value * 4;
+            });
+        });
+    }
+    return palette;
+}
+
+// PCX background as palette indices with its palette, a black screen in the
+// given palette (from gamePalette()) without one
+function loadBackground(data, palette) {
+    const screen = { width: SCREEN_WIDTH, height: SCREEN_HEIGHT, palette: palette || gamePalette(null), indices: new Uint8Array(SCREEN_WIDTH * SCREEN_HEIGHT) };
+    if (!data) {
+        screen.indices.fill(closestColor(screen.palette, [0, 0, 0]));
+        return screen;
+    }
+
+    const pcx = new PCX(data).decode();
+    screen.width = pcx.width;
+    screen.height = pcx.height;
+    screen.palette = Buffer.from(pcx.palette);
+    screen.indices = new Uint8Array(pcx.width * pcx.height);
+
+    // Pixels come straight from the palette, so colors map back exactly
+    const lookup = new Map();
+    for (let i = 255; i >= 0; i--) {
+        lookup.set((pcx.palette[i * 3] << 16) | (pcx.palette[i * 3 + 1] << 8) | pcx.palette[i * 3 + 2], i);
+    }
+    for (let p = 0; p < screen.indices.length; p++) {
+        const key = (pcx.pixelArray[p * 4] << 16) | (pcx.pixelArray[p * 4 + 1] << 8) | pcx.pixelArray[p * 4 + 2];
+        screen.indices[p] = lookup.get(key) || 0;
+    }
+    return screen;
+}
+
+// Glyph positions in the decoded font strip and the kerning pairs
+function loadFont(data) {
+    const font = decodeFont(data);
+    const glyphs = {};
+    let x = 0;
+    font.fnt.widths.forEach((width, i) => {
+        glyphs[font.fnt.ft_minchar + i] = { x: x, width: width };
+        x += width;
+    });
+    const kerns = {};
+    font.fnt.kerns.forEach(kern => {
+        kerns[`${kern.firstChar},${kern.secondChar}`] = kern.newWidth;
+    });
+    return { font: font, height: font.fnt.ft_h, glyphs: glyphs, kerns: kerns, color: font.palette !== null };
+}
+
+// Advance after a character, with the kerning of the following one
+function advance(font, c, next) {
+    const kern = font.kerns[`${c - font.font.fnt.ft_minchar},${next - font.font.fnt.ft_minchar}`];
+    return kern !== undefined ? kern : font.glyphs[c].width;
+}
+
+/**
+ * Draws a briefing page (from parseBriefing) over the background the way the
+ * game types it: word wrapped in the text window, tab stops from $T and the
+ * $C colors. onCharacter(indices) is called after each drawn character.
+ */
+function renderPage(page, background, font, window, onCharacter) {
+    const screen = Object.assign({}, background, { indices: Uint8Array.from(background.indices) });
+    const colors = TEXT_COLORS.map(rgb => closestColor(screen.palette, rgb));
+    const fontColors = {};
+    const lineHeight = font.height + Math.floor(font.height / 2);
+    let x = window.x;
+    let y = window.y;
+
+    const drawGlyph = (c, color) => {
+        const glyph = font.glyphs[c];
+        const strip = font.font;
+        for (let gy = 0; gy < font.height; gy++) {
+            for (let gx = 0; gx < glyph.width; gx++) {
+                const k = (gy * strip.width + glyph.x + gx) * 4;
+                const px = x + gx;
+                const py = y + gy;
+                if (strip.data[k + 3] === 0 || px >= screen.width || py >= screen.height) {
+                    continue;
+                }
+                let index = color;
+                if (font.color) {
+                    // Color fonts keep their own colors, matched to the background palette
+                    const key = (strip.data[k] << 16) | (strip.data[k + 1] << 8) | strip.data[k + 2];
+                    if (!fontColors.hasOwnProperty(key)) {
+                        fontColors[key] = closestColor(screen.palette, [strip.data[k] / 4, strip.data[k + 1] / 4, strip.data[k + 2] / 4]);
+                    }
+                    index = fontColors[key];
+                }
+                screen.indices[py * screen.width + px] = index;
+            }
+        }
+    };
+
+    const wordWidth = (text, from) => {
+        let width = 0;
+        for (let i = from; i < text.length && !/\s/.test(text[i]); i++) {
+            const c = text.charCodeAt(i);
+            if (font.glyphs[c]) {
+                width += advance(font, c, text.charCodeAt(i + 1));
+            }
+        }
+        return width;
+    };
+
+    page.filter(item => item.type === 'text').forEach(run => {
+        const color = colors[Math.min(Math.max(run.color, 1), colors.length) - 1];
+        for (let i = 0; i < run.text.length; i++) {
+            const ch = run.text[i];
+            const c = run.text.charCodeAt(i);
+
+            if (ch === '\n') {
+                x = window.x;
+                y += lineHeight;
+                continue;
+            }
+            if (ch === '\t') {
+                x = Math.max(x, window.x + run.tab);
+                continue;
+            }
+            // Words that don't fit go to the next line
+            if (!/\s/.test(ch) && (i === 0 || /\s/.test(run.text[i - 1])) && x > window.x && x + wordWidth(run.text, i) > window.x + window.width) {
+                x = window.x;
+                y += lineHeight;
+            }
+            if (y + font.height > window.y + window.height) {
+                break;
+            }
+            if (font.glyphs[c]) {
+                drawGlyph(c, color);
+                x += advance(font, c, run.text.charCodeAt(i + 1));
+            } else {
+                // Characters the font lacks take the width of a space
+                x += font.glyphs[32] ? font.glyphs[32].width : font.font.fnt.ft_w;
+            }
+            if (onCharacter && ch !== ' ') {
+                onCharacter(screen.indices);
+            }
+        }
+    });
+
+    return screen;
+}
+
+// Indexed screen as a PNG
+function screenToPng(screen) {
+    const png = new PNG({ width: screen.width, height: screen.height });
+    for (let p = 0; p < screen.indices.length; p++) {
+        const index = screen.indices[p];
+        png.data[p * 4 + 0] = screen.palette[index * 3 + 0];
+        png.data[p * 4 + 1] = screen.palette[index * 3 + 1];
+        png.data[p * 4 + 2] = screen.palette[index * 3 + 2];
+        png.data[p * 4 + 3] = 255;
+    }
+    return PNG.sync.write(png);
+}
+
+// Typewriter animation of a page, the text appearing a few characters at a time
+function pageToGif(page, background, font, window) {
+    const frames = [{ width: background.width, height: background.height, indices: Uint8Array.from(background.indices) }];
+    let count = 0;
+    const screen = renderPage(page, background, font, window, indices => {
+        if (++count % CHARACTERS_PER_FRAME === 0) {
+            frames.push({ width: background.width, height: background.height, indices: Uint8Array.from(indices) });
+        }
+    });
+    frames.push({ width: screen.width, height: screen.height, indices: screen.indices, delay: HOLD_DELAY });
+    return encodeGif(frames, { palette: screen.palette, delay: FRAME_DELAY, loop: 0 });
+}
+
+function main() {
+    const argv = process.argv.slice(2);
+    const options = { hog: hogFile, output: outputDir, font: BRIEFING_FONT, layout: null, gif: false };
+    for (let i = 0; i < argv.length; i++) {
+        const match = argv[i].match(/^--(hog|output|font|layout)(?:=(.*))?$/);
+        if (argv[i] === '--gif') {
+            options.gif = true;
+        } else if (match) {
+            options[match[1]] = match[2] !== undefined ? match[2] : argv[++i];
+        } else {
+            console.log('Usage: node briefing-renderer.js [--hog file] [--output dir] [--font name.fnt] [--layout layout.json] [--gif]');
+            process.exit(1);
+        }
+    }
+
+    console.log('Descent Briefing Renderer');
+    console.log('=========================');
+
+    const hog = readHog(fs.readFileSync(options.hog));
+    const fromHog = (name) => {
+        const file = hog.find(entry => entry.file_name.toLowerCase() === name.toLowerCase());
+        return file ? file.data : null;
+    };
+
+    const fontData = fromHog(options.font);
+    if (!fontData) {
+        throw new Error(`Font ${options.font} not found in ${options.hog}`);
+    }
+    const font = loadFont(fontData);
+    const palette = gamePalette(fromHog(GAME_PALETTE));
+
+    // Background and text window by screen number, from the game's table for
+    // the Descent 1 briefing, the layout file overriding it ("*" for the others)
+    const layout = options.layout ? JSON.parse(fs.readFileSync(options.layout)) : {};
+    const backgrounds = {};
+    const screenLayout = (file, number) => {
+        const builtin = file.toLowerCase() === D1_BRIEFING ? D1_BRIEFING_SCREENS.find(entry => entry.screen === number) : null;
+        const entry = Object.assign({}, DEFAULT_WINDOW, layout['*'], builtin, layout[number]);
+        const name = entry.background || '';
+        if (!backgrounds.hasOwnProperty(name)) {
+            const data = name ? fromHog(name) : null;
+            if (name && !data) {
+                console.log(`No background ${name}, using a black screen`);
+            }
+            backgrounds[name] = loadBackground(data, palette);
+        }
+        return { background: backgrounds[name], window: entry };
+    };
+
+    if (!fs.existsSync(options.output)) {
+        fs.mkdirSync(options.output, { recursive: true });
+    }
+
+    let count = 0;
+    hog.filter(entry => /\.txb$/i.test(entry.file_name)).forEach(entry => {
+        parseBriefing(decodeTxb(entry.data)).forEach(screen => {
+            const { background, window } = screenLayout(entry.file_name, screen.screen);
+            screen.pages.forEach((page, i) => {
+                const name = `${entry.file_name}.${screen.screen}-${i + 1}`;
+                try {
+                    if (options.gif) {
+                        fs.writeFileSync(path.join(options.output, `${name}.gif`), pageToGif(page, background, font, window));
+                    } else {
+                        fs.writeFileSync(path.join(options.output, `${name}.png`), screenToPng(renderPage(page, background, font, window)));
+                    }
+                    console.log(`✓ ${name}`);
+                    count++;
+                } catch (error) {
+                    console.error(`✗ Failed to render ${name}:`, error.message);
+                }
+            });
+        });
+    });
+
+    console.log(`\nDone! Rendered ${count} briefing pages to ${options.output}`);
+}
+
+if (require.main === module) {
+    try {
+        main();
+    } catch (error) {
+        console.error(`✗ ${error.message}`);
+        process.exit(1);
+    }
+}
+
+module.exports = { gamePalette, loadBackground, loadFont, renderPage, screenToPng, pageToGif };
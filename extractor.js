@@ -1,545 +1,976 @@
 let fs = require('fs')
+let path = require('path')
 let PNG = require('pngjs').PNG
 let PCX = require('pcx-js')
 let args = require('args')
+let { encodeGif } = require('./gif-encoder')
 
-let output_raw = true
-let output_textures = true
-let output_palettes = true
-let output_backgrounds = true
-let output_models = true
-let output_sounds = true
-let output_briefings = true
-let output_surfaces = true
-let output_font = true
-let output_maps = true
-
-//TODO digitest.raw (Its a sound I think)
-//TODO levels
-
-// let output_dir = null
-// let converted_dir = "./converted"
-// let converted_pcx_dir = null
-// let converted_pal_dir = null
-// let converted_snd_dir = null
-// let converted_briefing_dir = null
-// let converted_model_dir = null
-// let converted_map_dir = null
-
-// args
-//   .option('rawdir', 'Main output directory for raw extracted files', './output/')
-//   .option('reload', 'Enable/disable livereloading')
-//   .command('serve', 'Serve your static site', ['s'])
- 
-// const flags = args.parse(process.argv)
-
-// for (let i = 0; i < process.argv.length; ++i)
-// {
-//     let arg = process.argv[i]
-//     if (arg == "-d" || arg == "--directory")
-//     {
-
-//     }
-// }
-// process.argv.forEach(arg =>
-// {
-//     if (arg == "all")
-//     {
-//         converted_pcx_dir = "./converted"
-//     }
-// })
-
-// Extract HOG files
-let palette = null
-let hog_files = []
-
+// Entries of a HOG archive, data being a view into the buffer
+function readHog(buffer)
 {
-    let file_data = fs.readFileSync("./input/DESCENT.HOG")
+    let hog_files = []
     let file_offset = 3
-    let sig = file_data.toString('latin1', 0, 3)
+    let sig = buffer.toString('latin1', 0, 3)
     if (sig != "DHF")
     {
-        console.log("HOG file not DHF")
-        process.exit(1)
+        throw new Error("HOG file not DHF")
     }
-    while (file_offset < file_data.length)
+    while (file_offset < buffer.length)
     {
         let file = {}
-        file.file_name = file_data.toString('binary', file_offset, file_offset + 13)
-        file.file_name = file.file_name.substr(0, file.file_name.indexOf('.') + 4)
+        file.file_name = readName(buffer, file_offset, 13)
         file.type = file.file_name.substr(file.file_name.indexOf('.') + 1)
         file_offset += 13
-        file.file_size = file_data.readInt32LE(file_offset)
+        file.file_size = buffer.readInt32LE(file_offset)
         file_offset += 4
-        file.data = file_data.subarray(file_offset, file_offset + file.file_size)
+        file.data = buffer.subarray(file_offset, file_offset + file.file_size)
         file_offset += file.file_size
 
-        console.log(`${file.file_name} [${file.file_size} B]`)
-
         hog_files.push(file)
+    }
+    return hog_files
+}
+
+// Palette as RGBA pixels of a 16 x 560 image: the 256 colors, then the 34
+// fade tables. Indices 254 and 255 are see-through.
+function decodePalette(buffer)
+{
+    let data = Buffer.alloc(256 * 35 * 4)
+    for (let i = 0; i < 256; ++i)
+    {
+        data[i * 4 + 0] = buffer.readUInt8(i * 3 + 0) * 4
+        data[i * 4 + 1] = buffer.readUInt8(i * 3 + 1) * 4
+        data[i * 4 + 2] = buffer.readUInt8(i * 3 + 2) * 4
+        data[i * 4 + 3] = 255
+    }
 
-        if (output_raw)
+    data[254 * 4 + 3] = 0
+    data[255 * 4 + 3] = 0
+
+    for (let l = 0; l < 34; ++l)
+    {
+        for (let i = 0; i < 256; ++i)
         {
-            fs.writeFileSync(`./output/${file.file_name}`, file.data)
+            let idx = buffer.readUInt8(l * 256 + 768 + i)
+            data[l * 256 * 4 + 256 * 4 + i * 4 + 0] = data[idx * 4 + 0]
+            data[l * 256 * 4 + 256 * 4 + i * 4 + 1] = data[idx * 4 + 1]
+            data[l * 256 * 4 + 256 * 4 + i * 4 + 2] = data[idx * 4 + 2]
+            data[l * 256 * 4 + 256 * 4 + i * 4 + 3] = data[idx * 4 + 3]
         }
     }
+
+    return data
+}
+
+function FIX(fix)
+{
+    return (fix >> 16) + ((fix & 0xFFFF) / 65536)
+}
+
+function FIX16(fix)
+{
+    return (fix >> 8) + ((fix & 0xFF) / 256)
+}
+
+function readVector(data, offset)
+{
+    return {
+        x: FIX(data.readInt32LE(offset)),
+        y: FIX(data.readInt32LE(offset + 4)),
+        z: FIX(data.readInt32LE(offset + 8))
+    }
+}
+
+function readAngles(data, offset)
+{
+    return {
+        p: data.readInt16LE(offset),
+        b: data.readInt16LE(offset + 2),
+        h: data.readInt16LE(offset + 4)
+    }
 }
 
-// Save PCX
-if (output_backgrounds)
+// Rotation of a Descent angle vector (pitch, bank, heading as 1/65536 of a
+// turn) as a glTF quaternion, with Z flipped to the right-handed frame
+function anglesToQuaternion(angles)
 {
-    hog_files.filter(file => file.type == "pcx").forEach(file =>
+    let p = angles.p / 65536 * Math.PI * 2
+    let b = angles.b / 65536 * Math.PI * 2
+    let h = angles.h / 65536 * Math.PI * 2
+    let sinp = Math.sin(p), cosp = Math.cos(p)
+    let sinb = Math.sin(b), cosb = Math.cos(b)
+    let sinh = Math.sin(h), cosh = Math.cos(h)
+
+    // Same as vm_angles_2_matrix(), rows are rvec, uvec, fvec
+    let rvec = [cosb * cosh + sinp * sinb * sinh, sinb * cosp, sinp * sinb * cosh - cosb * sinh]
+    let uvec = [sinp * cosb * sinh - sinb * cosh, cosb * cosp, sinb * sinh + sinp * cosb * cosh]
+    let fvec = [sinh * cosp, -sinp, cosh * cosp]
+
+    // Local to parent transform has rvec, uvec, fvec as columns
+    let s = [1, 1, -1]
+    let m = [0, 1, 2].map(i => [rvec[i] * s[i] * s[0], uvec[i] * s[i] * s[1], fvec[i] * s[i] * s[2]])
+
+    let q = null
+    let trace = m[0][0] + m[1][1] + m[2][2]
+    if (trace > 0)
     {
-        let pcx = new PCX(file.data).decode()
-        let png = new PNG({width: pcx.width, height: pcx.height})
-        for (let i = 0; i < pcx.width * pcx.height * 4; ++i)
-        {
-            png.data[i] = pcx.pixelArray[i]
-        }
+        let t = Math.sqrt(trace + 1) * 2
+        q = [(m[2][1] - m[1][2]) / t, (m[0][2] - m[2][0]) / t, (m[1][0] - m[0][1]) / t, t / 4]
+    }
+    else if (m[0][0] > m[1][1] && m[0][0] > m[2][2])
+    {
+        let t = Math.sqrt(1 + m[0][0] - m[1][1] - m[2][2]) * 2
+        q = [t / 4, (m[0][1] + m[1][0]) / t, (m[0][2] + m[2][0]) / t, (m[2][1] - m[1][2]) / t]
+    }
+    else if (m[1][1] > m[2][2])
+    {
+        let t = Math.sqrt(1 + m[1][1] - m[0][0] - m[2][2]) * 2
+        q = [(m[0][1] + m[1][0]) / t, t / 4, (m[1][2] + m[2][1]) / t, (m[0][2] - m[2][0]) / t]
+    }
+    else
+    {
+        let t = Math.sqrt(1 + m[2][2] - m[0][0] - m[1][1]) * 2
+        q = [(m[0][2] + m[2][0]) / t, (m[1][2] + m[2][1]) / t, t / 4, (m[1][0] - m[0][1]) / t]
+    }
+    return q
+}
 
-        file.image_data = png.data
+const MAX_TEXTURES = 800
 
-        let buffer = PNG.sync.write(png)
-        fs.writeFileSync(`./converted/backgrounds/${file.file_name}.png`, buffer)
-    })
+// Sizes of the Descent 1 PIGs that start straight with the bitmap headers, the
+// later ones have the game data (bitmaps.bin) in front of them
+const D1_SHARE_BIG_PIGSIZE = 5092871 // v1.0 - 1.4 before RLE compression
+const D1_SHARE_10_PIGSIZE = 2529454 // v1.0 - 1.2
+const D1_SHARE_PIGSIZE = 2509799 // v1.4
+const D1_10_BIG_PIGSIZE = 7640220 // v1.0 before RLE compression
+const D1_10_PIGSIZE = 4520145 // v1.0
+
+// dflags of the PIG bitmap headers: the frame number in the low 6 bits, the
+// ABM bit for animation frames and the Descent 1 large bitmap bit
+const DBM_NUM_FRAMES = 63
+const DBM_FLAG_ABM = 64
+const DBM_FLAG_LARGE = 128
+
+const D1_BITMAP_HEADER_SIZE = 17
+const D2_BITMAP_HEADER_SIZE = 18
+const SOUND_HEADER_SIZE = 20
+
+// Zero terminated name of a fixed size field
+function readName(buffer, offset, length)
+{
+    let name = buffer.toString('binary', offset, offset + length)
+    let end = name.indexOf('\0')
+    return (end < 0) ? name : name.substr(0, end)
+}
+
+// Sound headers (name, length, data length, offset), the same in the D1 PIG,
+// the D2 .s11/.s22 files and the old HAM files
+function readSoundHeaders(buffer, offset, count)
+{
+    let sounds = []
+    for (let i = 0; i < count; ++i)
+    {
+        sounds.push({
+            name: readName(buffer, offset, 8),
+            nSamples: buffer.readInt32LE(offset + 8),
+            data_length: buffer.readInt32LE(offset + 12),
+            offset: buffer.readInt32LE(offset + 16)
+        })
+        offset += SOUND_HEADER_SIZE
+    }
+    return sounds
 }
 
-// Save palette
-if (output_palettes || output_textures)
+// Whether count headers of the given size fit in the buffer after offset
+function headersFit(buffer, offset, counts, sizes)
 {
-    hog_files.filter(file => file.type == "256").forEach(file =>
+    if (offset < 0 || offset + 8 > buffer.length) return false
+    let end = offset + 8
+    for (let i = 0; i < counts.length; ++i)
     {
-        let png = new PNG({width: 16, height: 16 * 35})
+        if (counts[i] < 0 || counts[i] > 10000) return false
+        end += counts[i] * sizes[i]
+    }
+    return end <= buffer.length
+}
 
-        for (let i = 0; i < 256; ++i)
-        {
-            png.data[i * 4 + 0] = file.data.readUInt8(i * 3 + 0) * 4
-            png.data[i * 4 + 1] = file.data.readUInt8(i * 3 + 1) * 4
-            png.data[i * 4 + 2] = file.data.readUInt8(i * 3 + 2) * 4
-            png.data[i * 4 + 3] = 255
-        }
+// Which PIG this is: Descent II ("PPIG"), Descent 1 shareware and 1.0 (bitmap
+// headers first) or Descent 1 registered 1.4 and later (data offset first).
+// Unknown sizes are guessed from which header layout fits.
+function pigVariant(buffer)
+{
+    if (buffer.toString('binary', 0, 4) == "PPIG")
+    {
+        return {game: 2, variant: "descent2", pigdataStart: 0}
+    }
 
-        png.data[254 * 4 + 3] = 0
-        png.data[255 * 4 + 3] = 0
+    switch (buffer.length)
+    {
+        case D1_SHARE_BIG_PIGSIZE:
+        case D1_SHARE_10_PIGSIZE:
+        case D1_SHARE_PIGSIZE:
+            return {game: 1, variant: "descent1-shareware", pigdataStart: 0}
+        case D1_10_BIG_PIGSIZE:
+        case D1_10_PIGSIZE:
+            return {game: 1, variant: "descent1-1.0", pigdataStart: 0}
+    }
+
+    let sizes = [D1_BITMAP_HEADER_SIZE, SOUND_HEADER_SIZE]
+    let start = buffer.readInt32LE(0)
+    if (start >= 8 && start + 8 <= buffer.length && headersFit(buffer, start, [buffer.readInt32LE(start), buffer.readInt32LE(start + 4)], sizes))
+    {
+        return {game: 1, variant: "descent1", pigdataStart: start}
+    }
+    if (headersFit(buffer, 0, [buffer.readInt32LE(0), buffer.readInt32LE(4)], sizes))
+    {
+        return {game: 1, variant: "descent1-1.0", pigdataStart: 0}
+    }
+    throw new Error("Unknown PIG layout")
+}
 
-        for (let l = 0; l < 34; ++l)
+// Bitmap and sound headers of a PIG, with data views into the buffer. Descent 1
+// registered PIGs also carry the level texture table in their game data, for
+// Descent II it comes from the HAM (readHam) and the sounds from the .s11/.s22
+// files (readSoundFile).
+function readPig(buffer)
+{
+    let pig = pigVariant(buffer)
+    let textures = []
+    let sounds = []
+    let tmaps = []
+    let file_offset = pig.pigdataStart
+    let num_textures = 0
+    let num_sounds = 0
+
+    if (pig.game == 2)
+    {
+        pig.version = buffer.readInt32LE(4)
+        num_textures = buffer.readInt32LE(8)
+        file_offset = 12
+    }
+    else
+    {
+        // Game data (bitmaps.bin) sits between the header and the bitmap table.
+        // Textures[] maps a level tmap_num to a 1-based bitmap index.
+        if (pig.pigdataStart)
         {
-            for (let i = 0; i < 256; ++i)
+            let num_tmaps = Math.min(buffer.readInt32LE(4), MAX_TEXTURES)
+            for (let i = 0; i < num_tmaps; ++i)
             {
-                let idx = file.data.readUInt8(l * 256 + 768 + i)
-                png.data[l * 256 * 4 + 256 * 4 + i * 4 + 0] = png.data[idx * 4 + 0]
-                png.data[l * 256 * 4 + 256 * 4 + i * 4 + 1] = png.data[idx * 4 + 1]
-                png.data[l * 256 * 4 + 256 * 4 + i * 4 + 2] = png.data[idx * 4 + 2]
-                png.data[l * 256 * 4 + 256 * 4 + i * 4 + 3] = png.data[idx * 4 + 3]
+                tmaps.push(buffer.readUInt16LE(8 + i * 2))
             }
         }
 
-        file.image_data = png.data
-        
-        if (output_palettes)
+        num_textures = buffer.readInt32LE(file_offset)
+        file_offset += 4
+        num_sounds = buffer.readInt32LE(file_offset)
+        file_offset += 4
+    }
+    pig.headerOffset = file_offset
+
+    for (let i = 0; i < num_textures; ++i)
+    {
+        let texture = {}
+        texture.name = readName(buffer, file_offset, 8)
+        file_offset += 8
+        let dflags = buffer.readUInt8(file_offset++)
+        texture.frame = dflags & DBM_NUM_FRAMES
+        texture.abmFlag = (dflags & DBM_FLAG_ABM) ? true : false
+        texture.xsize = buffer.readUInt8(file_offset++)
+        texture.ysize = buffer.readUInt8(file_offset++)
+        if (pig.game == 2)
         {
-            let buffer = PNG.sync.write(png)
-            fs.writeFileSync(`./converted/palettes/${file.file_name}.png`, buffer)
+            // Bitmaps can be larger than 255, the extra bits are stored apart
+            let wh_extra = buffer.readUInt8(file_offset++)
+            texture.xsize += (wh_extra & 0x0F) << 8
+            texture.ysize += (wh_extra & 0xF0) << 4
         }
-
-        if (file.file_name == "palette.256")
+        else if (dflags & DBM_FLAG_LARGE)
         {
-            palette = file.image_data
+            texture.xsize += 256
         }
+        texture.flag = buffer.readUInt8(file_offset++)
+        texture.ave_color = buffer.readUInt8(file_offset++)
+        texture.offset = buffer.readUInt32LE(file_offset)
+        file_offset += 4
+        textures.push(texture)
+    }
+
+    sounds = readSoundHeaders(buffer, file_offset, num_sounds)
+    file_offset += num_sounds * SOUND_HEADER_SIZE
+    pig.dataOffset = file_offset
+
+    textures.forEach(file =>
+    {
+        file.data = buffer.subarray(file_offset + file.offset)
+    })
+    sounds.forEach(file =>
+    {
+        file.data = buffer.subarray(file_offset + file.offset)
     })
+
+    pig.tmaps = tmaps
+    pig.textures = textures
+    pig.sounds = sounds
+    return pig
 }
 
-function FIX(fix)
+// Descent II HAM: the level texture table, and the sounds for the old (demo)
+// versions that kept them in the HAM
+function readHam(buffer)
 {
-    return (fix >> 16) + ((fix & 0xFFFF) / 65536)
+    if (buffer.toString('binary', 0, 4) != "HAM!")
+    {
+        throw new Error("HAM file not HAM!")
+    }
+    let ham = {}
+    let file_offset = 4
+    ham.version = buffer.readInt32LE(file_offset)
+    file_offset += 4
+    let sound_offset = 0
+    if (ham.version < 3)
+    {
+        sound_offset = buffer.readInt32LE(file_offset)
+        file_offset += 4
+    }
+
+    ham.tmaps = []
+    let num_tmaps = buffer.readInt32LE(file_offset)
+    file_offset += 4
+    for (let i = 0; i < num_tmaps; ++i)
+    {
+        ham.tmaps.push(buffer.readUInt16LE(file_offset + i * 2))
+    }
+
+    ham.sounds = []
+    if (sound_offset)
+    {
+        let num_sounds = buffer.readInt32LE(sound_offset)
+        ham.sounds = readSoundHeaders(buffer, sound_offset + 4, num_sounds)
+        let data_offset = sound_offset + 4 + num_sounds * SOUND_HEADER_SIZE
+        ham.sounds.forEach(file =>
+        {
+            file.data = buffer.subarray(data_offset + file.offset)
+        })
+    }
+    return ham
 }
 
-function FIX16(fix)
+// Descent II sound file: .s11 holds 11025 Hz sounds, .s22 the 22050 Hz ones
+function readSoundFile(buffer)
 {
-    return (fix >> 8) + ((fix & 0xFF) / 256)
+    if (buffer.toString('binary', 0, 4) != "DSND")
+    {
+        throw new Error("Sound file not DSND")
+    }
+    let snd = {}
+    snd.version = buffer.readInt32LE(4)
+    let num_sounds = buffer.readInt32LE(8)
+    snd.sounds = readSoundHeaders(buffer, 12, num_sounds)
+    let data_offset = 12 + num_sounds * SOUND_HEADER_SIZE
+    snd.sounds.forEach(file =>
+    {
+        file.data = buffer.subarray(data_offset + file.offset)
+    })
+    return snd
 }
 
-let textures = []
-let sounds = []
-
-if (output_sounds || output_textures)
+const BM_FLAG_TRANSPARENT = 1
+const BM_FLAG_SUPER_TRANSPARENT = 2
+const BM_FLAG_NO_LIGHTING = 4
+const BM_FLAG_RLE = 8
+const BM_FLAG_PAGED_OUT = 16
+const BM_FLAG_RLE_BIG = 32
+
+// Palette indices of a PIG bitmap. Compressed bitmaps start with their total
+// size and a table of line sizes (bytes, or shorts with BM_FLAG_RLE_BIG),
+// then each line is expanded on its own like gr_rle_expand()
+function bitmapIndices(texture)
 {
-    let file_data = fs.readFileSync("./input/DESCENT.PIG")
-    let file_offset = 0
-
-    file_offset = file_data.readInt32LE(file_offset)
+    let pixels = Buffer.alloc(texture.xsize * texture.ysize)
 
-    let num_textures = file_data.readInt32LE(file_offset)
-    file_offset += 4
-    let num_sounds = file_data.readInt16LE(file_offset)
-    file_offset += 4
-
-    console.log(`num_textures: ${num_textures}`)
-    console.log(`num_sounds: ${num_sounds}`)
+    if (!(texture.flag & (BM_FLAG_RLE | BM_FLAG_RLE_BIG)))
+    {
+        if (texture.data.length < pixels.length)
+        {
+            throw new Error(`Expected ${pixels.length} bytes, got ${texture.data.length}`)
+        }
+        texture.data.copy(pixels, 0, 0, pixels.length)
+        return pixels
+    }
 
-    for (let i = 0; i < num_textures; ++i)
+    let big = (texture.flag & BM_FLAG_RLE_BIG) ? true : false
+    let offset = 0
+    texture.total_size = texture.data.readUInt32LE(offset)
+    offset += 4
+    texture.line_sizes = []
+    for (let y = 0; y < texture.ysize; ++y)
     {
-        let texture = {}
-        texture.name = ""
-        for (let j = 0; j < 8; ++j)
+        if (big)
         {
-            let c = file_data.readUInt8(file_offset++)
-            if (c == 0)
-            {
-                while (j < 7)
-                {
-                    file_data.readUInt8(file_offset++)
-                    ++j
-                }
-                break
-            }
-            texture.name += String.fromCharCode(c)
+            texture.line_sizes.push(texture.data.readUInt16LE(offset))
+            offset += 2
+        }
+        else
+        {
+            texture.line_sizes.push(texture.data.readUInt8(offset++))
         }
-        let frame = file_data.readUInt8(file_offset++)
-        texture.frame = frame & 0x1F
-        texture.abmFlag = (frame & 0x20) ? true : false
-        texture.xsize = file_data.readUInt8(file_offset++)
-        texture.ysize = file_data.readUInt8(file_offset++)
-        texture.flag = file_data.readUInt8(file_offset++)
-        texture.ave_color = file_data.readUInt8(file_offset++)
-        texture.offset = file_data.readUInt32LE(file_offset)
-        file_offset += 4
-        console.log(`texture ${JSON.stringify(texture)}`)
-        textures.push(texture)
     }
 
-    for (let i = 0; i < num_sounds; ++i)
+    for (let y = 0; y < texture.ysize; ++y)
     {
-        let sound = {}
-        sound.name = ""
-        for (let j = 0; j < 8; ++j)
+        let lineEnd = offset + texture.line_sizes[y]
+        let x = 0
+        while (offset < lineEnd)
         {
-            let c = file_data.readUInt8(file_offset++)
-            if (c == 0)
+            let byte = texture.data.readUInt8(offset++)
+            if ((byte & 0xE0) == 0xE0)
             {
-                while (j < 7)
+                // Run of (byte & 0x1F) pixels, a zero count ends the line
+                let repeat = byte & 0x1F
+                if (!repeat) break
+                let color = texture.data.readUInt8(offset++)
+                for (let j = 0; j < repeat; ++j, ++x)
                 {
-                    file_data.readUInt8(file_offset++)
-                    ++j
+                    if (x < texture.xsize) pixels[y * texture.xsize + x] = color
                 }
-                break
             }
-            sound.name += String.fromCharCode(c)
+            else
+            {
+                if (x < texture.xsize) pixels[y * texture.xsize + x] = byte
+                ++x
+            }
         }
-        sound.nSamples = file_data.readInt32LE(file_offset)
-        file_offset += 4
-        sound.data_length = file_data.readInt32LE(file_offset)
-        file_offset += 4
-        sound.offset = file_data.readInt32LE(file_offset)
-        file_offset += 4
-        console.log(`sound ${JSON.stringify(sound)}`)
-        sounds.push(sound)
+        offset = lineEnd
     }
 
-    textures.forEach(file =>
+    if (offset > texture.data.length)
     {
-        file.data = file_data.subarray(file_offset + file.offset)
-    })
-    sounds.forEach(file =>
+        throw new Error(`RLE data runs past the end of the PIG`)
+    }
+
+    return pixels
+}
+
+// Palette indices and RGBA pixels of a PIG bitmap, palette being the one from
+// decodePalette(). Like the game, index 255 is only see-through with
+// BM_FLAG_TRANSPARENT and 254 with BM_FLAG_SUPER_TRANSPARENT
+function decodeBitmap(entry, palette)
+{
+    let indices = bitmapIndices(entry)
+    let data = Buffer.alloc(indices.length * 4)
+    for (let i = 0; i < indices.length; ++i)
     {
-        file.data = file_data.subarray(file_offset + file.offset)
-    })
+        let see_through = (indices[i] == 255 && (entry.flag & BM_FLAG_TRANSPARENT)) ||
+            (indices[i] == 254 && (entry.flag & BM_FLAG_SUPER_TRANSPARENT))
+        data[i * 4 + 0] = palette[indices[i] * 4 + 0]
+        data[i * 4 + 1] = palette[indices[i] * 4 + 1]
+        data[i * 4 + 2] = palette[indices[i] * 4 + 2]
+        data[i * 4 + 3] = see_through ? 0 : 255
+    }
+    return {width: entry.xsize, height: entry.ysize, indices: indices, data: data}
 }
 
-if (output_textures)
+// Binary glTF 2.0 of a POF model: one node per submodel, guns as empty nodes.
+// Descent is left-handed, so Z is flipped, which also turns the clockwise
+// polygons into the counter-clockwise front faces glTF expects.
+function createGlb(json, geometry, loadTexture)
 {
-    const BM_FLAG_TRANSPARENT = 1
-    const BM_FLAG_SUPER_TRANSPARENT = 2
-    const BM_FLAG_NO_LIGHTING = 4
-    const BM_FLAG_RLE = 8
-    const BM_FLAG_PAGED_OUT = 16
-    const BM_FLAG_RLE_BIG = 32
+    const FLOAT = 5126
+    const UNSIGNED_INT = 5125
+    const ARRAY_BUFFER = 34962
+    const ELEMENT_ARRAY_BUFFER = 34963
+    const NEAREST = 9728
+
+    let gltf = {
+        asset: {version: "2.0", generator: "Descent Extractor"},
+        scene: 0,
+        scenes: [{nodes: []}],
+        nodes: [],
+        meshes: [],
+        materials: [],
+        accessors: [],
+        bufferViews: [],
+        buffers: []
+    }
+    let chunks = []
+    let byteLength = 0
 
-    let t = 0
-    textures.forEach(texture =>
+    let addBufferView = (buffer, target) =>
     {
-        process.stdout.write(`\rconverting textures ${t}/${textures.length}`)
-        ++t
+        let view = {buffer: 0, byteOffset: byteLength, byteLength: buffer.length}
+        if (target) view.target = target
+        gltf.bufferViews.push(view)
+        chunks.push(buffer)
+        byteLength += buffer.length
+        let pad = (4 - (byteLength % 4)) % 4
+        if (pad)
+        {
+            chunks.push(Buffer.alloc(pad))
+            byteLength += pad
+        }
+        return gltf.bufferViews.length - 1
+    }
 
-        let isCompressed = (texture.flag & BM_FLAG_RLE)|| (texture.flag & BM_FLAG_RLE_BIG)
-        if (!isCompressed)
+    let addAccessor = (values, type, componentType, target) =>
+    {
+        let buffer = Buffer.alloc(values.length * 4)
+        values.forEach((value, i) =>
         {
-            // Raw
-            let png = new PNG({width: texture.xsize, height: texture.ysize})
-            for (let i = 0; i < texture.xsize * texture.ysize; ++i)
-            {
-                png.data[i * 4 + 0] = palette[texture.data.readUInt8(i) * 4 + 0]
-                png.data[i * 4 + 1] = palette[texture.data.readUInt8(i) * 4 + 1]
-                png.data[i * 4 + 2] = palette[texture.data.readUInt8(i) * 4 + 2]
-                png.data[i * 4 + 3] = palette[texture.data.readUInt8(i) * 4 + 3]
-            }
-            let buffer = PNG.sync.write(png)
-            fs.writeFileSync(`./converted/textures/${texture.name}_${texture.frame}.png`, buffer)    
+            if (componentType == FLOAT) buffer.writeFloatLE(value, i * 4)
+            else buffer.writeUInt32LE(value, i * 4)
+        })
+        let components = {SCALAR: 1, VEC2: 2, VEC3: 3, VEC4: 4}[type]
+        let accessor = {
+            bufferView: addBufferView(buffer, target),
+            componentType: componentType,
+            count: values.length / components,
+            type: type
         }
-        else if (texture.flag & BM_FLAG_RLE)
+        if (componentType == FLOAT)
         {
-            let offset = 0
-            texture.total_size = texture.data.readUInt32LE(offset)
-            offset += 4
-            texture.line_sizes = []
-            for (let i = 0; i < texture.ysize; ++i)
+            accessor.min = new Array(components).fill(Infinity)
+            accessor.max = new Array(components).fill(-Infinity)
+            for (let i = 0; i < values.length; ++i)
             {
-                texture.line_sizes.push(texture.data.readUInt8(offset++))
+                accessor.min[i % components] = Math.min(accessor.min[i % components], values[i])
+                accessor.max[i % components] = Math.max(accessor.max[i % components], values[i])
             }
+        }
+        gltf.accessors.push(accessor)
+        return gltf.accessors.length - 1
+    }
 
-            let dataSize = texture.line_sizes.reduce((size, line) => size + line, 0)
-            let png = new PNG({width: texture.xsize, height: texture.ysize})
-            let i = 0
-            while (offset < texture.data.length)
+    // Materials, with the textures embedded as PNG
+    let materialIndices = {}
+    let textureIndices = {}
+    Object.keys(geometry.materials).forEach(name =>
+    {
+        let material = geometry.materials[name]
+        let gltfMaterial = {name: name, pbrMetallicRoughness: {metallicFactor: 0, roughnessFactor: 1}}
+        if (material.texture && !material.missing)
+        {
+            try
             {
-                let repeat = texture.data.readUInt8(offset++)
-                if (repeat & 0x80 && repeat & 0x40 && repeat & 0x20)
+                if (!textureIndices.hasOwnProperty(material.texture))
                 {
-                    repeat &= 0x1F
-                    if (repeat)
+                    let png = loadTexture(material.texture)
+                    if (!gltf.images)
                     {
-                        let byte = texture.data.readUInt8(offset++)
-                        for (let j = 0; j < repeat; ++j)
-                        {
-                            png.data[i * 4 + 0] = palette[byte * 4 + 0]
-                            png.data[i * 4 + 1] = palette[byte * 4 + 1]
-                            png.data[i * 4 + 2] = palette[byte * 4 + 2]
-                            png.data[i * 4 + 3] = palette[byte * 4 + 3]
-                            ++i
-                        }
+                        gltf.images = []
+                        gltf.textures = []
+                        gltf.samplers = [{magFilter: NEAREST, minFilter: NEAREST}]
                     }
+                    gltf.images.push({name: material.texture, mimeType: "image/png", bufferView: addBufferView(png)})
+                    gltf.textures.push({sampler: 0, source: gltf.images.length - 1})
+                    textureIndices[material.texture] = gltf.textures.length - 1
                 }
-                else
+                let textureIndex = textureIndices[material.texture]
+                gltfMaterial.pbrMetallicRoughness.baseColorTexture = {index: textureIndex}
+                gltfMaterial.alphaMode = "MASK"
+                if (material.glow)
                 {
-                    byte = repeat
-                    png.data[i * 4 + 0] = palette[byte * 4 + 0]
-                    png.data[i * 4 + 1] = palette[byte * 4 + 1]
-                    png.data[i * 4 + 2] = palette[byte * 4 + 2]
-                    png.data[i * 4 + 3] = palette[byte * 4 + 3]
-                    ++i
+                    gltfMaterial.emissiveFactor = [1, 1, 1]
+                    gltfMaterial.emissiveTexture = {index: textureIndex}
                 }
             }
+            catch (e)
+            {
+                // A texture that can't be loaded leaves the material untextured,
+                // main marks and reports the missing ones before
+            }
+        }
+        else if (material.color)
+        {
+            // Palette colors are sRGB, glTF factors are linear
+            let linear = (c) => Math.pow((c / 255 + 0.055) / 1.055, 2.4)
+            gltfMaterial.pbrMetallicRoughness.baseColorFactor = [
+                linear(material.color[0]),
+                linear(material.color[1]),
+                linear(material.color[2]),
+                1
+            ]
+        }
+        gltf.materials.push(gltfMaterial)
+        materialIndices[name] = gltf.materials.length - 1
+    })
 
-            let buffer = PNG.sync.write(png)
-            fs.writeFileSync(`./converted/textures/${texture.name}_${texture.frame}.png`, buffer)
+    // One node per submodel, with its polygons split by material
+    json.models.forEach((model, subNum) =>
+    {
+        let node = {
+            name: `submodel${subNum}`,
+            translation: [model.subOffset.x, model.subOffset.y, -model.subOffset.z]
         }
-        else if (texture.flag & BM_FLAG_RLE_BIG)
+
+        let primitives = {}
+        geometry.polys.filter(poly => poly.submodel == subNum).forEach(poly =>
         {
-            let offset = 0
-            texture.total_size = texture.data.readUInt32LE(offset)
-            offset += 4
-            texture.line_sizes = []
-            for (let i = 0; i < texture.ysize; ++i)
+            if (!primitives.hasOwnProperty(poly.material))
             {
-                texture.line_sizes.push(texture.data.readUInt16LE())
-                offset += 2
+                primitives[poly.material] = {positions: [], normals: [], uvs: [], indices: []}
             }
-
-            let dataSize = texture.line_sizes.reduce((size, line) => size + line, 0)
-            let png = new PNG({width: texture.xsize, height: texture.ysize})
-            let i = 0
-            while (offset < texture.data.length)
+            let primitive = primitives[poly.material]
+            let first = primitive.positions.length / 3
+            poly.ptidx.forEach((ptidx, i) =>
+            {
+                let pt = geometry.points[ptidx]
+                primitive.positions.push(pt.x, pt.y, -pt.z)
+                primitive.normals.push(poly.normal.x, poly.normal.y, -poly.normal.z)
+                if (poly.uvs) primitive.uvs.push(poly.uvs[i].u, poly.uvs[i].v)
+            })
+            for (let i = 2; i < poly.ptidx.length; ++i)
             {
-                let repeat = texture.data.readUInt8(offset++)
-                if (repeat & 0x80 && repeat & 0x40 && repeat & 0x20)
+                primitive.indices.push(first, first + i - 1, first + i)
+            }
+        })
+
+        let materialNames = Object.keys(primitives)
+        if (materialNames.length)
+        {
+            gltf.meshes.push({
+                name: `submodel${subNum}`,
+                primitives: materialNames.map(name =>
                 {
-                    repeat &= 0x1F
-                    if (repeat)
+                    let primitive = primitives[name]
+                    let attributes = {
+                        POSITION: addAccessor(primitive.positions, "VEC3", FLOAT, ARRAY_BUFFER),
+                        NORMAL: addAccessor(primitive.normals, "VEC3", FLOAT, ARRAY_BUFFER)
+                    }
+                    if (primitive.uvs.length)
                     {
-                        let byte = texture.data.readUInt8(offset++)
-                        for (let j = 0; j < repeat; ++j)
-                        {
-                            png.data[i * 4 + 0] = palette[byte * 4 + 0]
-                            png.data[i * 4 + 1] = palette[byte * 4 + 1]
-                            png.data[i * 4 + 2] = palette[byte * 4 + 2]
-                            png.data[i * 4 + 3] = palette[byte * 4 + 3]
-                            ++i
-                        }
+                        attributes.TEXCOORD_0 = addAccessor(primitive.uvs, "VEC2", FLOAT, ARRAY_BUFFER)
                     }
-                }
-                else
-                {
-                    byte = repeat
-                    png.data[i * 4 + 0] = palette[byte * 4 + 0]
-                    png.data[i * 4 + 1] = palette[byte * 4 + 1]
-                    png.data[i * 4 + 2] = palette[byte * 4 + 2]
-                    png.data[i * 4 + 3] = palette[byte * 4 + 3]
-                    ++i
-                }
-            }
+                    return {
+                        attributes: attributes,
+                        indices: addAccessor(primitive.indices, "SCALAR", UNSIGNED_INT, ELEMENT_ARRAY_BUFFER),
+                        material: materialIndices[name]
+                    }
+                })
+            })
+            node.mesh = gltf.meshes.length - 1
+        }
 
-            let buffer = PNG.sync.write(png)
-            fs.writeFileSync(`./converted/textures/${texture.name}_${texture.frame}.png`, buffer)
+        gltf.nodes.push(node)
+    })
 
-            process.exit(0)
+    json.models.forEach((model, subNum) =>
+    {
+        if (model.parentNum >= 0 && model.parentNum < json.models.length && model.parentNum != subNum)
+        {
+            let parent = gltf.nodes[model.parentNum]
+            if (!parent.children) parent.children = []
+            parent.children.push(subNum)
+        }
+        else
+        {
+            gltf.scenes[0].nodes.push(subNum)
         }
     })
-}
 
-// 3D models
-if (output_models)
-{
-    hog_files.filter(file => file.type == "pof").forEach(file =>
+    // Gun points, relative to the submodel they are attached to
+    if (json.guns)
     {
-        console.log(`converting ${file.file_name}`)
-        let file_offset = 0
-        let json = {}
-        json.models = []
-        let modelsOffset = []
-        while (file_offset < file.data.length)
+        json.guns.forEach(gun =>
         {
-            let id = file.data.toString('binary', file_offset, file_offset + 4)
-            file_offset += 4
+            gltf.nodes.push({
+                name: `gun${gun.gunID}`,
+                translation: [gun.gunPoint.x, gun.gunPoint.y, -gun.gunPoint.z],
+                extras: {fireVector: [gun.fireVector.x, gun.fireVector.y, -gun.fireVector.z]}
+            })
+            let parent = gltf.nodes[gun.gunSub]
+            if (parent)
+            {
+                if (!parent.children) parent.children = []
+                parent.children.push(gltf.nodes.length - 1)
+            }
+            else
+            {
+                gltf.scenes[0].nodes.push(gltf.nodes.length - 1)
+            }
+        })
+    }
 
-            switch (id)
+    // Robot states, each blending the submodels from the rest pose to the state pose
+    if (json.animations)
+    {
+        gltf.animations = json.animations.map(animation =>
+        {
+            let times = animation.frame ? [0, 0.5] : [0]
+            let input = addAccessor(times, "SCALAR", FLOAT)
+            let gltfAnimation = {name: animation.name, channels: [], samplers: []}
+            animation.tracks.filter(track => track.submodel < json.models.length).forEach(track =>
             {
-                case "PSPO":
+                let rotations = anglesToQuaternion(track.angles)
+                if (animation.frame)
                 {
-                    json.version = file.data.readInt16LE(file_offset)
-                    file_offset += 2
-                    break
+                    rotations = anglesToQuaternion(json.animations[0].tracks[track.submodel].angles).concat(rotations)
                 }
-                case "TXTR":
+                gltfAnimation.samplers.push({
+                    input: input,
+                    output: addAccessor(rotations, "VEC4", FLOAT),
+                    interpolation: "LINEAR"
+                })
+                gltfAnimation.channels.push({
+                    sampler: gltfAnimation.samplers.length - 1,
+                    target: {node: track.submodel, path: "rotation"}
+                })
+            })
+            return gltfAnimation
+        })
+    }
+
+    let bin = Buffer.concat(chunks)
+    gltf.buffers.push({byteLength: bin.length})
+    for (let key of ["meshes", "materials", "accessors", "bufferViews"])
+    {
+        if (!gltf[key].length) delete gltf[key]
+    }
+    if (!bin.length) delete gltf.buffers
+
+    let jsonChunk = Buffer.from(JSON.stringify(gltf))
+    jsonChunk = Buffer.concat([jsonChunk, Buffer.alloc((4 - (jsonChunk.length % 4)) % 4, 0x20)])
+
+    let header = Buffer.alloc(12)
+    header.writeUInt32LE(0x46546C67, 0) // glTF
+    header.writeUInt32LE(2, 4)
+    header.writeUInt32LE(12 + 8 + jsonChunk.length + (bin.length ? 8 + bin.length : 0), 8)
+
+    let jsonHeader = Buffer.alloc(8)
+    jsonHeader.writeUInt32LE(jsonChunk.length, 0)
+    jsonHeader.writeUInt32LE(0x4E4F534A, 4) // JSON
+
+    if (!bin.length) return Buffer.concat([header, jsonHeader, jsonChunk])
+
+    let binHeader = Buffer.alloc(8)
+    binHeader.writeUInt32LE(bin.length, 0)
+    binHeader.writeUInt32LE(0x004E4942, 4) // BIN
+
+    return Buffer.concat([header, jsonHeader, jsonChunk, binHeader, bin])
+}
+
+// FLATPOLY colors are 15-bit RGB, which the game snaps to the closest
+// palette entry (gr_find_closest_color_15bpp)
+function flatPolyColor(colorMap, palette)
+{
+    let r = ((colorMap >> 10) & 0x1F) * 2
+    let g = ((colorMap >> 5) & 0x1F) * 2
+    let b = (colorMap & 0x1F) * 2
+
+    if (!palette)
+    {
+        return {red: r * 4, green: g * 4, blue: b * 4}
+    }
+
+    let best = 0
+    let bestDist = Infinity
+    for (let i = 0; i < 256; ++i)
+    {
+        let dr = palette[i * 4 + 0] / 4 - r
+        let dg = palette[i * 4 + 1] / 4 - g
+        let db = palette[i * 4 + 2] / 4 - b
+        let dist = dr * dr + dg * dg + db * db
+        if (dist < bestDist)
+        {
+            best = i
+            bestDist = dist
+            if (dist == 0) break
+        }
+    }
+    return {
+        index: best,
+        red: palette[best * 4 + 0],
+        green: palette[best * 4 + 1],
+        blue: palette[best * 4 + 2]
+    }
+}
+
+// Robot joint poses stored in ANIM, in order
+const ANIM_STATES = ["rest", "alert", "fire", "recoil", "flinch"]
+
+// POF model: the chunks as plain JSON, plus the geometry from walking IDTA.
+// palette is only used to match FLATPOLY colors.
+function decodePof(buffer, palette)
+{
+    let unhandled = []
+    let file_offset = 0
+    let json = {}
+    json.models = []
+    let modelsOffset = []
+    let geometry = {points: [], polys: [], materials: {}}
+    while (file_offset < buffer.length)
+    {
+        let id = buffer.toString('binary', file_offset, file_offset + 4)
+        file_offset += 4
+
+        switch (id)
+        {
+            case "PSPO":
+            {
+                json.version = buffer.readInt16LE(file_offset)
+                file_offset += 2
+                break
+            }
+            case "TXTR":
+            {
+                let size = buffer.readInt32LE(file_offset)
+                file_offset += 4
+                let strCount = buffer.readInt16LE(file_offset)
+                file_offset += 2
+                json.textures = []
+                for (let i = 0; i < strCount; ++i)
                 {
-                    let size = file.data.readInt32LE(file_offset)
-                    file_offset += 4
-                    let strCount = file.data.readInt16LE(file_offset)
-                    file_offset += 2
-                    json.textures = []
-                    for (let i = 0; i < strCount; ++i)
+                    let texture = ""
+                    while (true)
                     {
-                        let texture = ""
-                        while (true)
-                        {
-                            let c = file.data.readUInt8(file_offset++)
-                            if (c == 0) break
-                            texture += String.fromCharCode(c)
-                        }
-                        json.textures.push(texture)
+                        let c = buffer.readUInt8(file_offset++)
+                        if (c == 0) break
+                        texture += String.fromCharCode(c)
                     }
-                    break
+                    json.textures.push(texture)
                 }
-                case "OHDR":
-                {
-                    let size = file.data.readInt32LE(file_offset)
-                    file_offset += 4
-                    json.numModels = file.data.readInt32LE(file_offset)
-                    file_offset += 4
-                    json.modelRad = FIX(file.data.readInt32LE(file_offset))
-                    file_offset += 4
-                    json.min = {
-                        x: FIX(file.data.readInt32LE(file_offset)),
-                        y: FIX(file.data.readInt32LE(file_offset + 4)),
-                        z: FIX(file.data.readInt32LE(file_offset + 8))
-                    }
-                    file_offset += 12
-                    json.max = {
-                        x: FIX(file.data.readInt32LE(file_offset)),
-                        y: FIX(file.data.readInt32LE(file_offset + 4)),
-                        z: FIX(file.data.readInt32LE(file_offset + 8))
-                    }
-                    file_offset += 12
-                    break
+                break
+            }
+            case "OHDR":
+            {
+                let size = buffer.readInt32LE(file_offset)
+                file_offset += 4
+                json.numModels = buffer.readInt32LE(file_offset)
+                file_offset += 4
+                json.modelRad = FIX(buffer.readInt32LE(file_offset))
+                file_offset += 4
+                json.min = {
+                    x: FIX(buffer.readInt32LE(file_offset)),
+                    y: FIX(buffer.readInt32LE(file_offset + 4)),
+                    z: FIX(buffer.readInt32LE(file_offset + 8))
                 }
-                case "SOBJ":
-                {
-                    let size = file.data.readInt32LE(file_offset)
-                    file_offset += 4
-                    let model = {}
-                    model.subNum = file.data.readInt16LE(file_offset)
-                    file_offset += 2
-                    model.parentNum = file.data.readInt16LE(file_offset)
-                    file_offset += 2
-                    model.subPlaneNorm = {
-                        x: FIX(file.data.readInt32LE(file_offset)),
-                        y: FIX(file.data.readInt32LE(file_offset + 4)),
-                        z: FIX(file.data.readInt32LE(file_offset + 8))
-                    }
-                    file_offset += 12
-                    model.subPlanePnt = {
-                        x: FIX(file.data.readInt32LE(file_offset)),
-                        y: FIX(file.data.readInt32LE(file_offset + 4)),
-                        z: FIX(file.data.readInt32LE(file_offset + 8))
+                file_offset += 12
+                json.max = {
+                    x: FIX(buffer.readInt32LE(file_offset)),
+                    y: FIX(buffer.readInt32LE(file_offset + 4)),
+                    z: FIX(buffer.readInt32LE(file_offset + 8))
+                }
+                file_offset += 12
+                break
+            }
+            case "SOBJ":
+            {
+                let size = buffer.readInt32LE(file_offset)
+                file_offset += 4
+                let model = {}
+                model.subNum = buffer.readInt16LE(file_offset)
+                file_offset += 2
+                model.parentNum = buffer.readInt16LE(file_offset)
+                file_offset += 2
+                model.subPlaneNorm = {
+                    x: FIX(buffer.readInt32LE(file_offset)),
+                    y: FIX(buffer.readInt32LE(file_offset + 4)),
+                    z: FIX(buffer.readInt32LE(file_offset + 8))
+                }
+                file_offset += 12
+                model.subPlanePnt = {
+                    x: FIX(buffer.readInt32LE(file_offset)),
+                    y: FIX(buffer.readInt32LE(file_offset + 4)),
+                    z: FIX(buffer.readInt32LE(file_offset + 8))
+                }
+                file_offset += 12
+                model.subOffset = {
+                    x: FIX(buffer.readInt32LE(file_offset)),
+                    y: FIX(buffer.readInt32LE(file_offset + 4)),
+                    z: FIX(buffer.readInt32LE(file_offset + 8))
+                }
+                file_offset += 12
+                json.modelRad = FIX(buffer.readInt32LE(file_offset))
+                file_offset += 4
+                modelsOffset.push(buffer.readInt32LE(file_offset))
+                file_offset += 4
+                json.models.push(model)
+                break
+            }
+            case "GUNS":
+            {
+                let size = buffer.readInt32LE(file_offset)
+                file_offset += 4
+                json.numGuns = buffer.readInt32LE(file_offset)
+                file_offset += 4
+                json.guns = []
+                for (let i = 0; i < json.numGuns; ++i)
+                {
+                    let gun = {}
+                    gun.gunID = buffer.readInt16LE(file_offset)
+                    file_offset += 2
+                    gun.gunSub = buffer.readInt16LE(file_offset)
+                    file_offset += 2
+                    gun.gunPoint = {
+                        x: FIX(buffer.readInt32LE(file_offset)),
+                        y: FIX(buffer.readInt32LE(file_offset + 4)),
+                        z: FIX(buffer.readInt32LE(file_offset + 8))
                     }
                     file_offset += 12
-                    model.subOffset = {
-                        x: FIX(file.data.readInt32LE(file_offset)),
-                        y: FIX(file.data.readInt32LE(file_offset + 4)),
-                        z: FIX(file.data.readInt32LE(file_offset + 8))
+                    gun.fireVector = {
+                        x: FIX(buffer.readInt32LE(file_offset)),
+                        y: FIX(buffer.readInt32LE(file_offset + 4)),
+                        z: FIX(buffer.readInt32LE(file_offset + 8))
                     }
                     file_offset += 12
-                    json.modelRad = FIX(file.data.readInt32LE(file_offset))
-                    file_offset += 4
-                    modelsOffset.push(file.data.readInt32LE(file_offset))
-                    file_offset += 4
-                    json.models.push(model)
-                    break
+                    json.guns.push(gun)
                 }
-                case "GUNS":
+                break
+            }
+            case "ANIM":
+            {
+                let size = buffer.readInt32LE(file_offset)
+                file_offset += 4
+                let end = file_offset + size
+                json.numFrames = buffer.readInt16LE(file_offset)
+                file_offset += 2
+
+                // One angle vector per submodel per robot state
+                json.animAngles = []
+                for (let i = 0; i < json.numModels; ++i)
                 {
-                    let size = file.data.readInt32LE(file_offset)
-                    file_offset += 4
-                    json.numGuns = file.data.readInt32LE(file_offset)
-                    file_offset += 4
-                    json.guns = []
-                    for (let i = 0; i < json.numGuns; ++i)
+                    let frames = []
+                    for (let j = 0; j < json.numFrames; ++j)
                     {
-                        let gun = {}
-                        gun.gunID = file.data.readInt16LE(file_offset)
-                        file_offset += 2
-                        gun.gunSub = file.data.readInt16LE(file_offset)
-                        file_offset += 2
-                        gun.gunPoint = {
-                            x: FIX(file.data.readInt32LE(file_offset)),
-                            y: FIX(file.data.readInt32LE(file_offset + 4)),
-                            z: FIX(file.data.readInt32LE(file_offset + 8))
-                        }
-                        file_offset += 12
-                        gun.fireVector = {
-                            x: FIX(file.data.readInt32LE(file_offset)),
-                            y: FIX(file.data.readInt32LE(file_offset + 4)),
-                            z: FIX(file.data.readInt32LE(file_offset + 8))
-                        }
-                        file_offset += 12
-                        json.guns.push(gun)
+                        frames.push(readAngles(buffer, file_offset))
+                        file_offset += 6
                     }
-                    break
+                    json.animAngles.push(frames)
                 }
-                // case "ANIM":
-                // {
-                //     let size = file.data.readInt32LE(file_offset)
-                //     file_offset += 4
-                //     json.numFrames = file.data.readInt16LE(file_offset)
-                //     file_offset += 2
-                //     console.log("size: " + size)
-                //     console.log("json.numFrames: " + json.numFrames)
-                //     console.log("json.numModels: " + json.numModels)
-                //     json.anim_angs = []
-                //     for (let i = 0; i < json.numModels; ++i)
-                //     {
-                //         let frames = []
-                //         for (let j = 0; j < json.numFrames; ++j)
-                //         {
-                //             frames.push(FIX16(file.data.readInt16LE(file_offset)))
-                //             file_offset += 2
-                //         }
-                //         json.anim_angs.push(frames)
-                //     }
-                //     break
-                // }
-                case "IDTA":
+
+                json.animations = []
+                for (let j = 0; j < json.numFrames; ++j)
+                {
+                    json.animations.push({
+                        name: ANIM_STATES[j] || `state${j}`,
+                        frame: j,
+                        tracks: json.animAngles.map((frames, subNum) => ({submodel: subNum, angles: frames[j]}))
+                    })
+                }
+
+                file_offset = end
+                break
+            }
+            case "IDTA":
+            {
+                let size = buffer.readInt32LE(file_offset)
+                file_offset += 4
+                let data = buffer.subarray(file_offset, file_offset + size)
+                file_offset += size
+                let visited = {}
+                let glowNum = -1
+                geometry.worldPoints = []
+                json.glows = []
+
+                // Walks the tree like g3_draw_polygon_model(): both SORTNORM
+                // branches are followed and SUBCALLs move into the submodel
+                let interpret = (offset, submodel, origin) =>
                 {
-                    let obj = `mtllib ${file.file_name}.mtl\n`
-                    let mtl = ``
-                    let size = file.data.readInt32LE(file_offset)
-                    file_offset += 4
-                    let data = file.data.subarray(file_offset, file_offset + size)
-                    file_offset += size
-                    let offset = 0
-                    let materials = {}
-                    let uvlVector = []
                     while (offset < size)
                     {
+                        let opOffset = offset
+                        if (visited[opOffset]) return
+                        visited[opOffset] = true
                         let id = data.readInt16LE(offset)
                         offset += 2
                         switch (id)
@@ -549,7 +980,7 @@ if (output_models)
                                 // 0 - EOF - Means end of tree reached
                                 // + 0 short id = 0
                                 // console.log("  EOF {}")
-                                break
+                                return
                             }
                             case 1:
                             {
@@ -570,8 +1001,9 @@ if (output_models)
                                         z: FIX(data.readInt32LE(offset + 8))
                                     }
                                     DEFPOINTS.points.push(pt)
+                                    geometry.points[i] = pt
+                                    geometry.worldPoints[i] = {x: pt.x + origin.x, y: pt.y + origin.y, z: pt.z + origin.z}
                                     offset += 12
-                                    obj += `v ${pt.x} ${pt.y} ${pt.z}\n`
                                 }
                 
                                 // console.log("  DEFPOINTS " + JSON.stringify(DEFPOINTS))
@@ -603,32 +1035,31 @@ if (output_models)
                                 offset += 12
                 
                                 // +28 short colorMap
-                                FLATPOLY.colorMap = data.readInt16LE(offset)
+                                FLATPOLY.colorMap = data.readUInt16LE(offset)
                                 offset += 2
-               
-                                FLATPOLY.red = ((FLATPOLY.colorMap >> 10) & 0x3f) * 4;
-                                FLATPOLY.green = ((FLATPOLY.colorMap >> 5) & 0x3f) * 4;
-                                FLATPOLY.blue = (FLATPOLY.colorMap & 0x3f) * 4;
+
+                                let color = flatPolyColor(FLATPOLY.colorMap, palette)
+                                FLATPOLY.red = color.red
+                                FLATPOLY.green = color.green
+                                FLATPOLY.blue = color.blue
                                 let matName = `R${FLATPOLY.red}G${FLATPOLY.green}B${FLATPOLY.blue}`
 
-                                if (!materials.hasOwnProperty(matName))
-                                {
-                                    materials[matName] = true
-                                    mtl += `newmtl ${matName}\nKa ${FLATPOLY.red/255} ${FLATPOLY.green/255} ${FLATPOLY.blue/255}\nKd ${FLATPOLY.red/255} ${FLATPOLY.green/255} ${FLATPOLY.blue/255}\n`
-                                }
-                                obj += `usemtl ${matName}\n`
-                
                                 // +30 short ptldx[n_Points]
                                 FLATPOLY.ptldx = []
-                                obj += `f`
                                 for (let i = 0; i < FLATPOLY.n_Points; ++i)
                                 {
                                     let ptidx = data.readInt16LE(offset)
                                     FLATPOLY.ptldx.push(ptidx)
-                                    obj += ` ${ptidx+1}`
                                     offset += 2
                                 }
-                                obj += "\n"
+
+                                geometry.materials[matName] = {color: [FLATPOLY.red, FLATPOLY.green, FLATPOLY.blue]}
+                                geometry.polys.push({
+                                    submodel: submodel,
+                                    material: matName,
+                                    normal: FLATPOLY.vmsNormal,
+                                    ptidx: FLATPOLY.ptldx
+                                })
                 
                                 // +.. if (!n_Points & 1)
                                 //     short pad //Present only if n_Points is even
@@ -670,22 +1101,12 @@ if (output_models)
                                 TMAPPOLY.texture = data.readInt16LE(offset)
                                 offset += 2
 
-                                // Copy the texture file
                                 let texture = json.textures[TMAPPOLY.texture] + '_0'
-                                try
-                                {
-                                    fs.copyFileSync(`./converted/textures/${texture}.png`, __dirname + `/converted/models/${texture}.png`)
-                                }
-                                catch (e)
-                                {
-                                    // console.log(e)
-                                }
-                                if (!materials.hasOwnProperty(texture))
-                                {
-                                    materials[texture] = true
-                                    mtl += `newmtl ${texture}\nmap_Kd ${texture}.png\n`
-                                }
-                                obj += `usemtl ${texture}\n`
+
+                                // A preceding GLOW makes this polygon self-lit
+                                let glow = glowNum
+                                glowNum = -1
+                                let matName = (glow >= 0) ? `${texture}_glow` : texture
                 
                                 // +30 short ptldx[n_Points]
                                 TMAPPOLY.ptldx = []
@@ -705,6 +1126,7 @@ if (output_models)
                                 }
                 
                                 // +.. UVL_VECTOR uvlVector[n_Points] //Controls Texture Mapping
+                                TMAPPOLY.uvlVector = []
                                 for (let i = 0; i < TMAPPOLY.n_Points; ++i)
                                 {
                                     let uvw = {
@@ -713,16 +1135,27 @@ if (output_models)
                                         w: FIX(data.readInt32LE(offset + 8))
                                     }
                                     offset += 12
-                                    uvlVector.push(uvw)
-                                    obj += `vt ${uvw.u} ${1 - uvw.v}\n`
+                                    TMAPPOLY.uvlVector.push(uvw)
                                 }
 
-                                obj += `f`
-                                for (let i = 0; i < TMAPPOLY.ptldx.length; ++i)
+                                geometry.materials[matName] = {texture: texture, glow: glow >= 0}
+                                geometry.polys.push({
+                                    submodel: submodel,
+                                    material: matName,
+                                    normal: TMAPPOLY.vmsNormal,
+                                    ptidx: TMAPPOLY.ptldx,
+                                    uvs: TMAPPOLY.uvlVector
+                                })
+
+                                if (glow >= 0)
                                 {
-                                    obj += ` ${TMAPPOLY.ptldx[i] + 1}/${uvlVector.length - TMAPPOLY.ptldx.length + i + 1}`
+                                    json.glows.push({
+                                        submodel: submodel,
+                                        glowNum: glow,
+                                        texture: texture,
+                                        points: TMAPPOLY.ptldx
+                                    })
                                 }
-                                obj += "\n"
                 
                                 // console.log("  TMAPPOLY " + JSON.stringify(TMAPPOLY))
                                 break
@@ -759,6 +1192,10 @@ if (output_models)
                                 // +30 short zBack
                                 SORTNORM.zBack = data.readInt16LE(offset)
                                 offset += 2
+
+                                // Branch offsets are relative to the SORTNORM op
+                                interpret(opOffset + SORTNORM.zFront, submodel, origin)
+                                interpret(opOffset + SORTNORM.zBack, submodel, origin)
                 
                                 // console.log("  SORTNORM " + JSON.stringify(SORTNORM))
                                 break
@@ -784,9 +1221,16 @@ if (output_models)
                                 SUBCALL._offset = data.readInt16LE(offset)
                                 offset += 2
                 
-                                // +18 int pad
-                                SUBCALL.pad = data.readInt32LE(offset)
-                                offset += 4
+                                // +18 short pad
+                                SUBCALL.pad = data.readInt16LE(offset)
+                                offset += 2
+
+                                // The submodel is drawn at vmsStartPoint, relative to this one
+                                interpret(opOffset + SUBCALL._offset, SUBCALL.sobjNum, {
+                                    x: origin.x + SUBCALL.vmsStartPoint.x,
+                                    y: origin.y + SUBCALL.vmsStartPoint.y,
+                                    z: origin.z + SUBCALL.vmsStartPoint.z
+                                })
                 
                                 // console.log("  SUBCALL " + JSON.stringify(SUBCALL))                    
                                 break
@@ -818,8 +1262,9 @@ if (output_models)
                                         z: FIX(data.readInt32LE(offset + 8))
                                     }
                                     DEFP_START.vsmPts.push(pt)
+                                    geometry.points[DEFP_START.formerPts + i] = pt
+                                    geometry.worldPoints[DEFP_START.formerPts + i] = {x: pt.x + origin.x, y: pt.y + origin.y, z: pt.z + origin.z}
                                     offset += 12
-                                    obj += `v ${pt.x} ${pt.y} ${pt.z}\n`
                                 }
                 
                                 // console.log("  DEFP_START " + JSON.stringify(DEFP_START))
@@ -833,433 +1278,2089 @@ if (output_models)
                                 // + 2 short glowVal
                                 GLOW.glowVal = data.readInt16LE(offset)
                                 offset += 2
+
+                                // Index into the object's glow values, used by the next TMAPPOLY
+                                glowNum = GLOW.glowVal
                 
                                 // console.log("  GLOW " + JSON.stringify(GLOW))
                                 break
                             }
                             default:
                             {
-                                console.log("  invalid: " + id)
-                                process.exit(0)
+                                throw new Error(`Invalid IDTA op ${id} at ${opOffset}`)
                             }
                         }
                     }
-
-                    fs.writeFileSync(`./converted/models/${file.file_name}.obj`, obj)
-                    fs.writeFileSync(`./converted/models/${file.file_name}.mtl`, mtl)
-                    break;
                 }
-                default:
-                    let size = file.data.readInt32LE(file_offset)
-                    file_offset += 4
-                    let data = file.data.subarray(file_offset, file_offset + size)
-                    file_offset += size
 
-                    console.log(`  Unhandled: [${id}]`)
-                    break
+                interpret(0, 0, {x: 0, y: 0, z: 0})
+                break
             }
+            default:
+                let size = buffer.readInt32LE(file_offset)
+                file_offset += 4
+                let data = buffer.subarray(file_offset, file_offset + size)
+                file_offset += size
+
+                unhandled.push(id)
+                break
         }
-        fs.writeFileSync(`./converted/models/${file.file_name}.json`, JSON.stringify(json, null, 2))
-    })
+    }
+    return {json: json, geometry: geometry, unhandled: unhandled}
 }
 
-if (output_briefings)
+// Wavefront OBJ and MTL of a decoded POF, one group per submodel, all placed
+// at their SUBCALL offsets
+function pofToObj(model, name)
 {
-    hog_files.filter(file => file.type == "txb").forEach(file =>
+    let geometry = model.geometry
+    let mtl = ``
+    Object.keys(geometry.materials).forEach(matName =>
     {
-        console.log(`converting ${file.file_name}`)
-
-        let output = ''
-        for (let i = 0; i < file.data.length; ++i)
+        let material = geometry.materials[matName]
+        if (material.missing)
         {
-            let c = file.data.readUInt8(i)
-            if (c != 0x0a)
+            // Texture that wasn't converted, plain white instead
+            mtl += `newmtl ${matName}\nKd 1 1 1\n`
+        }
+        else if (material.texture)
+        {
+            mtl += `newmtl ${matName}\nKd 1 1 1\nmap_Kd ${material.texture}.png\n`
+            if (material.glow)
             {
-                c = (((c & 0x3f) << 2) + ((c & 0xc0) >> 6)) ^ 0xa7;
+                mtl += `Ke 1 1 1\nmap_Ke ${material.texture}.png\n`
             }
-            output += String.fromCharCode(c)
         }
+        else
+        {
+            let [red, green, blue] = material.color
+            mtl += `newmtl ${matName}\nKa ${red/255} ${green/255} ${blue/255}\nKd ${red/255} ${green/255} ${blue/255}\n`
+        }
+    })
 
-        fs.writeFileSync(`./converted/texts/${file.file_name}.txt`, output)
+    let obj = `mtllib ${name}.mtl\n`
+    for (let i = 0; i < geometry.worldPoints.length; ++i)
+    {
+        let pt = geometry.worldPoints[i] || {x: 0, y: 0, z: 0}
+        obj += `v ${pt.x} ${pt.y} ${pt.z}\n`
+    }
+    let numUVs = 0
+    let submodels = [...new Set(geometry.polys.map(poly => poly.submodel))].sort((a, b) => a - b)
+    submodels.forEach(subNum =>
+    {
+        obj += `g submodel${subNum}\n`
+        let currentMaterial = null
+        geometry.polys.filter(poly => poly.submodel == subNum).forEach(poly =>
+        {
+            if (currentMaterial != poly.material)
+            {
+                currentMaterial = poly.material
+                obj += `usemtl ${poly.material}\n`
+            }
+            if (poly.uvs)
+            {
+                poly.uvs.forEach(uvw =>
+                {
+                    obj += `vt ${uvw.u} ${1 - uvw.v}\n`
+                })
+                obj += `f`
+                poly.ptidx.forEach((ptidx, i) =>
+                {
+                    obj += ` ${ptidx + 1}/${numUVs + i + 1}`
+                })
+                numUVs += poly.uvs.length
+            }
+            else
+            {
+                obj += `f`
+                poly.ptidx.forEach(ptidx =>
+                {
+                    obj += ` ${ptidx + 1}`
+                })
+            }
+            obj += "\n"
+        })
     })
+
+    return {obj: obj, mtl: mtl}
 }
 
-if (output_surfaces)
+// Briefing and ending texts are stored with every byte but newlines scrambled
+function decodeTxb(buffer)
 {
-    hog_files.filter(file => file.type == "bbm").forEach(file =>
+    let output = ''
+    for (let i = 0; i < buffer.length; ++i)
     {
-        console.log(`converting ${file.file_name}`)
+        let c = buffer.readUInt8(i)
+        if (c != 0x0a)
+        {
+            c = (((c & 0x3f) << 2) + ((c & 0xc0) >> 6)) ^ 0xa7;
+        }
+        output += String.fromCharCode(c)
+    }
+
+    return output
+}
 
-        let main_offset = 0
-        let chunkID = file.data.toString('binary', main_offset, main_offset + 4)
-        main_offset += 4
-        if (chunkID != "FORM")
+// Briefing directives, a $ and a letter, each taking the rest of its line:
+// $S<n> starts screen n, $P a new page, $C<n> the text color, $T<n> the tab
+// stop, $F toggles the flashing cursor, $R<n> shows a spinning robot, $B<name>
+// a .bbm picture and $N<name>/$O<name> an animated PIG bitmap.
+const BRIEFING_ASSETS = {R: "robot", B: "bitmap", N: "animation", O: "animation"}
+
+// Descent 1 briefing screens (Briefing_screens in titles.c): the level each
+// screen of briefing.txb comes before (0 for the introduction, negative for the
+// secret levels), its background and text window
+const D1_BRIEFING_SCREENS = [
+    {screen: 1, level: 0, background: "brief01.pcx", x: 13, y: 140, width: 290, height: 59},
+    {screen: 2, level: 0, background: "brief02.pcx", x: 27, y: 34, width: 257, height: 177},
+    {screen: 3, level: 0, background: "brief03.pcx", x: 20, y: 22, width: 257, height: 177},
+    {screen: 4, level: 0, background: "brief02.pcx", x: 27, y: 34, width: 257, height: 177},
+    {screen: 5, level: 1, background: "moon01.pcx", x: 10, y: 10, width: 300, height: 170},
+    {screen: 6, level: 2, background: "moon01.pcx", x: 10, y: 10, width: 300, height: 170},
+    {screen: 7, level: 3, background: "moon01.pcx", x: 10, y: 10, width: 300, height: 170},
+    {screen: 8, level: 4, background: "venus01.pcx", x: 15, y: 15, width: 300, height: 200},
+    {screen: 9, level: 5, background: "venus01.pcx", x: 15, y: 15, width: 300, height: 200},
+    {screen: 10, level: 6, background: "brief03.pcx", x: 20, y: 22, width: 257, height: 177},
+    {screen: 11, level: 6, background: "merc01.pcx", x: 10, y: 15, width: 300, height: 200},
+    {screen: 12, level: 7, background: "merc01.pcx", x: 10, y: 15, width: 300, height: 200},
+    {screen: 13, level: 8, background: "brief03.pcx", x: 20, y: 22, width: 257, height: 177},
+    {screen: 14, level: 8, background: "mars01.pcx", x: 10, y: 100, width: 300, height: 200},
+    {screen: 15, level: 9, background: "mars01.pcx", x: 10, y: 100, width: 300, height: 200},
+    {screen: 16, level: 10, background: "brief03.pcx", x: 20, y: 22, width: 257, height: 177},
+    {screen: 17, level: 10, background: "mars01.pcx", x: 10, y: 100, width: 300, height: 200},
+    {screen: 18, level: 11, background: "jup01.pcx", x: 10, y: 40, width: 300, height: 200},
+    {screen: 19, level: 12, background: "jup01.pcx", x: 10, y: 40, width: 300, height: 200},
+    {screen: 20, level: 13, background: "brief03.pcx", x: 20, y: 22, width: 257, height: 177},
+    {screen: 21, level: 13, background: "jup01.pcx", x: 10, y: 40, width: 300, height: 200},
+    {screen: 22, level: 14, background: "jup01.pcx", x: 10, y: 40, width: 300, height: 200},
+    {screen: 23, level: 15, background: "saturn01.pcx", x: 10, y: 40, width: 300, height: 200},
+    {screen: 24, level: 16, background: "brief03.pcx", x: 20, y: 22, width: 257, height: 177},
+    {screen: 25, level: 16, background: "saturn01.pcx", x: 10, y: 40, width: 300, height: 200},
+    {screen: 26, level: 17, background: "brief03.pcx", x: 20, y: 22, width: 257, height: 177},
+    {screen: 27, level: 17, background: "saturn01.pcx", x: 10, y: 40, width: 300, height: 200},
+    {screen: 28, level: 18, background: "uranus01.pcx", x: 100, y: 100, width: 300, height: 200},
+    {screen: 29, level: 19, background: "uranus01.pcx", x: 100, y: 100, width: 300, height: 200},
+    {screen: 30, level: 20, background: "uranus01.pcx", x: 100, y: 100, width: 300, height: 200},
+    {screen: 31, level: 21, background: "uranus01.pcx", x: 100, y: 100, width: 300, height: 200},
+    {screen: 32, level: 22, background: "neptun01.pcx", x: 10, y: 20, width: 300, height: 200},
+    {screen: 33, level: 23, background: "neptun01.pcx", x: 10, y: 20, width: 300, height: 200},
+    {screen: 34, level: 24, background: "neptun01.pcx", x: 10, y: 20, width: 300, height: 200},
+    {screen: 35, level: 25, background: "pluto01.pcx", x: 10, y: 20, width: 300, height: 200},
+    {screen: 36, level: 26, background: "pluto01.pcx", x: 10, y: 20, width: 300, height: 200},
+    {screen: 37, level: 27, background: "pluto01.pcx", x: 10, y: 20, width: 300, height: 200},
+    {screen: 38, level: -1, background: "aster01.pcx", x: 10, y: 90, width: 300, height: 200},
+    {screen: 39, level: -2, background: "aster01.pcx", x: 10, y: 90, width: 300, height: 200},
+    {screen: 40, level: -3, background: "aster01.pcx", x: 10, y: 90, width: 300, height: 200}
+]
+
+// Level a briefing screen comes before: the screen number itself in Descent II,
+// from D1_BRIEFING_SCREENS in Descent 1, null when the table doesn't have it
+function briefingLevel(screen, game)
+{
+    if (game == 2) return screen
+    let entry = D1_BRIEFING_SCREENS.find(other => other.screen == screen)
+    return entry ? entry.level : null
+}
+
+/**
+ * Briefing text (decodeTxb output) as screens of pages, each a list of text
+ * runs and asset inserts. resolveAsset(type, name) can give the converted
+ * file of an asset, null when there is none.
+ * Each screen has the level it comes before (game being 1 or 2): in Descent II
+ * the screen number is the level, Descent 1 maps its screens to levels with a
+ * table in the executable.
+ */
+function parseBriefing(text, resolveAsset, game)
+{
+    resolveAsset = resolveAsset || (() => null)
+    let screens = []
+    let screen = null
+    let page = null
+    let style = {color: 1, tab: 0, flashing: false}
+
+    let addText = (value) =>
+    {
+        if (!page || value.length == 0) return
+        let last = page[page.length - 1]
+        if (last && last.type == "text" && last.color == style.color && last.tab == style.tab && last.flashing == style.flashing)
         {
-            console.log('  Expected FORM chunkID')
-            return
+            last.text += value
+        }
+        else
+        {
+            page.push(Object.assign({type: "text", text: value}, style))
         }
-        let lenChunk = file.data.readUInt32BE(main_offset)
-        main_offset += 4
-        let formatID = file.data.toString('binary', main_offset, main_offset + 4)
-        main_offset += 4
-        if (formatID != "PBM ")
+    }
+
+    let lines = text.replace(/\r/g, '').split('\n')
+    lines.forEach((line, i) =>
+    {
+        let newline = (i < lines.length - 1) ? '\n' : ''
+        let at = line.indexOf('$')
+        if (at < 0 || at + 1 >= line.length)
         {
-            console.log('  Expected PBM formatID')
+            addText(line + newline)
             return
         }
-        let content = file.data.subarray(main_offset, main_offset + lenChunk - 4)
-        main_offset += lenChunk - 4
-        if (lenChunk % 2) file.data.readUInt8(main_offset++)
 
-        let offset = 0
-        let bmhd = {}
-        let pal = null
-        let x = 0
-        let y = 0
-        while (offset < content.length)
-        {
-            chunkID = content.toString('binary', offset, offset + 4)
-            offset += 4
-            lenChunk = file.data.readUInt32BE(offset)
-            offset += 4
+        // Text before the directive is shown, the rest of the line is its argument
+        addText(line.substr(0, at))
+        let code = line[at + 1].toUpperCase()
+        let argument = line.substr(at + 2).trim()
+        let number = parseInt(argument, 10)
 
-            switch (chunkID)
+        if (code == "S")
+        {
+            page = []
+            screen = {screen: number, level: briefingLevel(number, game || 1), pages: [page], assets: []}
+            screens.push(screen)
+            style = {color: 1, tab: 0, flashing: false}
+        }
+        else if (!screen)
+        {
+            // Anything before the first screen is never shown
+        }
+        else if (code == "P")
+        {
+            page = []
+            screen.pages.push(page)
+        }
+        else if (code == "C")
+        {
+            style.color = number
+        }
+        else if (code == "T")
+        {
+            style.tab = number
+        }
+        else if (code == "F")
+        {
+            style.flashing = !style.flashing
+        }
+        else if (BRIEFING_ASSETS[code])
+        {
+            let name = argument.split(/\s/)[0]
+            let asset = {type: BRIEFING_ASSETS[code], name: name, file: resolveAsset(BRIEFING_ASSETS[code], name)}
+            page.push(asset)
+            if (!screen.assets.some(other => other.type == asset.type && other.name == asset.name))
             {
-                case "BMHD":
-                {
-                    bmhd.width = content.readUInt16BE(offset)
-                    offset += 2
-                    bmhd.height = content.readUInt16BE(offset)
-                    offset += 2
-                    bmhd.xOrigin = content.readInt16BE(offset)
-                    offset += 2
-                    bmhd.yOrigin = content.readInt16BE(offset)
-                    offset += 2
-                    bmhd.numPlanes = content.readUInt8(offset++)
-                    bmhd.mask = content.readUInt8(offset++)
-                    bmhd.compression = content.readUInt8(offset++)
-                    bmhd.pad1 = content.readUInt8(offset++)
-                    bmhd.transClr = content.readUInt16BE(offset)
-                    offset += 2
-                    bmhd.xAspect = content.readUInt8(offset++)
-                    bmhd.yAspect = content.readUInt8(offset++)
-                    bmhd.pageWidth = content.readInt16BE(offset)
-                    offset += 2
-                    bmhd.pageHeight = content.readInt16BE(offset)
-                    offset += 2
-        
-                    // Validate only what we support
-                    if (bmhd.numPlanes != 8 || bmhd.mask != 2 || bmhd.compression != 0)
-                    {
-                        console.log('  Unsupported BMHD format')
-                        return
-                    }
-                    break
-                }
-                case "CMAP":
-                {
-                    pal = content.subarray(offset, offset + 256 * 3)
-                    offset += 256 * 3
-                    break;
-                }
-                case "GRAB":
-                {
-                    offset += 4
-                    break;
-                }
-                case "CRNG":
-                {
-                    offset += 8
-                    break;
-                }
-                case "TINY":
-                {
-                    let width = content.readUInt16BE(offset)
-                    offset += 2
-                    let height = content.readUInt16BE(offset)
-                    offset += 2
-                    offset += width * height
-                    break;
-                }
-                case "BODY":
-                {
-                    let png = new PNG({width: bmhd.width, height: bmhd.height})
-                    for (let i = 0; i < bmhd.width * bmhd.height; ++i)
-                    {
-                        let idx = content.readUInt8(offset++)
-                        png.data[i * 4 + 0] = pal.readUInt8(idx * 3 + 0)
-                        png.data[i * 4 + 1] = pal.readUInt8(idx * 3 + 1)
-                        png.data[i * 4 + 2] = pal.readUInt8(idx * 3 + 2)
-                        png.data[i * 4 + 3] = (idx == bmhd.transClr) ? 0 : 255
-                    }
+                screen.assets.push(asset)
+            }
+        }
+        else
+        {
+            page.push({type: "directive", code: code, argument: argument})
+        }
+    })
+
+    return screens
+}
 
-                    file.image_data = png.data
+// Deluxe Paint PBM (IFF FORM) as palette indices and RGBA pixels, the
+// transparent color from BMHD being see-through
+function decodeBbm(buffer)
+{
+    let main_offset = 0
+    let chunkID = buffer.toString('binary', main_offset, main_offset + 4)
+    main_offset += 4
+    if (chunkID != "FORM")
+    {
+        throw new Error('Expected FORM chunkID')
+    }
+    let lenChunk = buffer.readUInt32BE(main_offset)
+    main_offset += 4
+    let formatID = buffer.toString('binary', main_offset, main_offset + 4)
+    main_offset += 4
+    if (formatID != "PBM ")
+    {
+        throw new Error('Expected PBM formatID')
+    }
+    let content = buffer.subarray(main_offset, main_offset + lenChunk - 4)
+    main_offset += lenChunk - 4
+    if (lenChunk % 2) buffer.readUInt8(main_offset++)
+
+    let offset = 0
+    let bmhd = {}
+    let pal = null
+    let x = 0
+    let y = 0
+    while (offset < content.length)
+    {
+        chunkID = content.toString('binary', offset, offset + 4)
+        offset += 4
+        lenChunk = content.readUInt32BE(offset)
+        offset += 4
 
-                    let buffer = PNG.sync.write(png)
-                    fs.writeFileSync(`./converted/surfaces/${file.file_name}.png`, buffer)
-                    return;
+        switch (chunkID)
+        {
+            case "BMHD":
+            {
+                bmhd.width = content.readUInt16BE(offset)
+                offset += 2
+                bmhd.height = content.readUInt16BE(offset)
+                offset += 2
+                bmhd.xOrigin = content.readInt16BE(offset)
+                offset += 2
+                bmhd.yOrigin = content.readInt16BE(offset)
+                offset += 2
+                bmhd.numPlanes = content.readUInt8(offset++)
+                bmhd.mask = content.readUInt8(offset++)
+                bmhd.compression = content.readUInt8(offset++)
+                bmhd.pad1 = content.readUInt8(offset++)
+                bmhd.transClr = content.readUInt16BE(offset)
+                offset += 2
+                bmhd.xAspect = content.readUInt8(offset++)
+                bmhd.yAspect = content.readUInt8(offset++)
+                bmhd.pageWidth = content.readInt16BE(offset)
+                offset += 2
+                bmhd.pageHeight = content.readInt16BE(offset)
+                offset += 2
+    
+                // Validate only what we support
+                if (bmhd.numPlanes != 8 || bmhd.mask != 2 || bmhd.compression != 0)
+                {
+                    throw new Error('Unsupported BMHD format')
                 }
-                default:
+                break
+            }
+            case "CMAP":
+            {
+                pal = content.subarray(offset, offset + 256 * 3)
+                offset += 256 * 3
+                break;
+            }
+            case "GRAB":
+            {
+                offset += 4
+                break;
+            }
+            case "CRNG":
+            {
+                offset += 8
+                break;
+            }
+            case "TINY":
+            {
+                let width = content.readUInt16BE(offset)
+                offset += 2
+                let height = content.readUInt16BE(offset)
+                offset += 2
+                offset += width * height
+                break;
+            }
+            case "BODY":
+            {
+                let indices = Buffer.alloc(bmhd.width * bmhd.height)
+                let data = Buffer.alloc(bmhd.width * bmhd.height * 4)
+                for (let i = 0; i < bmhd.width * bmhd.height; ++i)
                 {
-                    console.log(`  Unhandled sub chunk: ${chunkID}`)
-                    return;
+                    let idx = content.readUInt8(offset++)
+                    indices[i] = idx
+                    data[i * 4 + 0] = pal.readUInt8(idx * 3 + 0)
+                    data[i * 4 + 1] = pal.readUInt8(idx * 3 + 1)
+                    data[i * 4 + 2] = pal.readUInt8(idx * 3 + 2)
+                    data[i * 4 + 3] = (idx == bmhd.transClr) ? 0 : 255
                 }
+                return {width: bmhd.width, height: bmhd.height, bmhd: bmhd, palette: pal, indices: indices, data: data}
+            }
+            default:
+            {
+                throw new Error(`Unhandled sub chunk: ${chunkID}`)
             }
         }
+    }
 
-        chunkID = file.data.toString('binary', main_offset, main_offset + 4)
-        main_offset += 4
-    })
+    throw new Error('Missing BODY chunk')
 }
 
 const FT_COLOR = 1
 const FT_PROPORTIONAL = 2
 const FT_KERNED = 4
 
-if (output_font)
+// Font header and glyph strip (each character side by side, minchar first).
+// Color fonts carry their own palette, mono fonts are white on transparent.
+function decodeFont(buffer)
 {
-    hog_files.filter(file => file.type == "fnt").forEach(file =>
-    {
-        console.log(`converting ${file.file_name}`)
+    let offset = 0
 
-        let offset = 0
+    let sig = buffer.toString('binary', offset, offset + 4)
+    offset += 4
+    if (sig != "PSFN")
+    {
+        throw new Error(`Expected "PSFN" signature`)
+    }
 
-        let sig = file.data.toString('binary', offset, offset + 4)
-        offset += 4
-        if (sig != "PSFN")
+    let data_size = buffer.readUInt32LE(offset)
+    offset += 4
+
+    let fnt = {}
+    fnt.ft_w = buffer.readUInt16LE(offset)
+    offset += 2
+    fnt.ft_h = buffer.readUInt16LE(offset)
+    offset += 2
+    fnt.ft_flags = buffer.readUInt16LE(offset)
+    offset += 2
+    fnt.ft_baseline = buffer.readUInt16LE(offset)
+    offset += 2
+    fnt.ft_minchar = buffer.readUInt8(offset++)
+    fnt.ft_maxchar = buffer.readUInt8(offset++)
+    fnt.ft_bytewidth = buffer.readUInt16LE(offset)
+    offset += 2
+    fnt.ft_data = buffer.readUInt32LE(offset) + 8
+    let data = buffer.subarray(fnt.ft_data)
+    offset += 4
+    fnt.ft_chars = buffer.readUInt32LE(offset)
+    offset += 4
+    fnt.ft_widths = buffer.readUInt32LE(offset) + 8
+    let widths_data = buffer.subarray(fnt.ft_widths)
+    offset += 4
+    fnt.ft_kerndata = buffer.readUInt32LE(offset) + 8
+    let kern_data = buffer.subarray(fnt.ft_kerndata)
+    offset += 4
+
+    fnt.widths = []
+    if (fnt.ft_flags & FT_PROPORTIONAL) // Always the case
+    {
+        for (let i = 0; i < fnt.ft_maxchar - fnt.ft_minchar + 1; ++i)
         {
-            console.log(`  Expected "PSFN" signature`)
-            return;
+            fnt.widths.push(widths_data.readUInt16LE(i * 2))
         }
+    }
 
-        let data_size = file.data.readUInt32LE(offset)
-        offset += 4
-
-        let fnt = {}
-        fnt.ft_w = file.data.readUInt16LE(offset)
-        offset += 2
-        fnt.ft_h = file.data.readUInt16LE(offset)
-        offset += 2
-        fnt.ft_flags = file.data.readUInt16LE(offset)
-        offset += 2
-        fnt.ft_baseline = file.data.readUInt16LE(offset)
-        offset += 2
-        fnt.ft_minchar = file.data.readUInt8(offset++)
-        fnt.ft_maxchar = file.data.readUInt8(offset++)
-        fnt.ft_bytewidth = file.data.readUInt16LE(offset)
-        offset += 2
-        fnt.ft_data = file.data.readUInt32LE(offset) + 8
-        let data = file.data.subarray(fnt.ft_data)
-        offset += 4
-        fnt.ft_chars = file.data.readUInt32LE(offset)
-        offset += 4
-        fnt.ft_widths = file.data.readUInt32LE(offset) + 8
-        let widths_data = file.data.subarray(fnt.ft_widths)
-        offset += 4
-        fnt.ft_kerndata = file.data.readUInt32LE(offset) + 8
-        let kern_data = file.data.subarray(fnt.ft_kerndata)
-        offset += 4
-
-        fnt.widths = []
-        if (fnt.ft_flags & FT_PROPORTIONAL) // Always the case
+    fnt.kerns = []
+    if (fnt.ft_flags & FT_KERNED) // It seems to be always the case, even if it's empty
+    {
+        let kernOffset = 0
+        let nextByte = kern_data.readUInt8(kernOffset++)
+        while (nextByte != 0xFF)
         {
-            for (let i = 0; i < fnt.ft_maxchar - fnt.ft_minchar + 1; ++i)
-            {
-                fnt.widths.push(widths_data.readUInt16LE(i * 2))
-            }
+            fnt.kerns.push({
+                firstChar: nextByte,
+                secondChar: kern_data.readUInt8(kernOffset++),
+                newWidth: kern_data.readUInt8(kernOffset++)
+            })
+            nextByte = kern_data.readUInt8(kernOffset++)
         }
+    }
+
+    // Font palette
+    let palette = null
+    if (fnt.ft_flags & FT_COLOR)
+    {
+        palette = Buffer.alloc(256 * 4)
+        let palOffset = buffer.length - 256 * 3
 
-        fnt.kerns = []
-        if (fnt.ft_flags & FT_KERNED) // It seems to be always the case, even if it's empty
+        for (let i = 0; i < 256; ++i)
         {
-            let kernOffset = 0
-            let nextByte = kern_data.readUInt8(kernOffset++)
-            while (nextByte != 0xFF)
-            {
-                fnt.kerns.push({
-                    firstChar: nextByte,
-                    secondChar: kern_data.readUInt8(kernOffset++),
-                    newWidth: kern_data.readUInt8(kernOffset++)
-                })
-                nextByte = kern_data.readUInt8(kernOffset++)
-            }
+            palette[i * 4 + 0] = buffer.readUInt8(palOffset + i * 3 + 0) * 4
+            palette[i * 4 + 1] = buffer.readUInt8(palOffset + i * 3 + 1) * 4
+            palette[i * 4 + 2] = buffer.readUInt8(palOffset + i * 3 + 2) * 4
+            palette[i * 4 + 3] = 255
         }
 
-        // Font definition file
-        fs.writeFileSync(`./converted/fonts/${file.file_name}.json`, JSON.stringify(fnt, null, 2))
+        palette[255 * 4 + 3] = 0
+    }
 
-        // Font palette
-        let palette = null;
-        if (fnt.ft_flags & FT_COLOR)
-        {
-            let png = new PNG({width: 16, height: 16})
-            let palOffset = file.data.length - 256 * 3
+    // Font texture
+    let image = null
+    if (palette)
+    {
+        let texW = fnt.widths.reduce((total, w) => total + w, 0)
+        let png = new PNG({width: texW, height: fnt.ft_h})
+        let dataOffset = 0
+        let xOffset = 0
 
-            for (let i = 0; i < 256; ++i)
+        for (let c = fnt.ft_minchar; c <= fnt.ft_maxchar; ++c)
+        {
+            let cid = c - fnt.ft_minchar
+            let w = fnt.widths[cid]
+            for (let y = 0; y < fnt.ft_h; ++y)
             {
-                png.data[i * 4 + 0] = file.data.readUInt8(palOffset + i * 3 + 0) * 4
-                png.data[i * 4 + 1] = file.data.readUInt8(palOffset + i * 3 + 1) * 4
-                png.data[i * 4 + 2] = file.data.readUInt8(palOffset + i * 3 + 2) * 4
-                png.data[i * 4 + 3] = 255
+                for (let x = 0; x < w; ++x)
+                {
+                    let col = data.readUInt8(dataOffset++)
+                    let k = y * texW + xOffset + x
+                    png.data[k * 4 + 0] = palette[col * 4 + 0]
+                    png.data[k * 4 + 1] = palette[col * 4 + 1]
+                    png.data[k * 4 + 2] = palette[col * 4 + 2]
+                    png.data[k * 4 + 3] = palette[col * 4 + 3]
+                }
             }
-
-            png.data[255 * 4 + 3] = 0
-
-            file.image_data = png.data
-            
-            let buffer = PNG.sync.write(png)
-            fs.writeFileSync(`./converted/fonts/${file.file_name}.256.png`, buffer)
-
-            palette = file.image_data
+            xOffset += w
         }
 
-        // Font texture
-        if (palette)
+        image = png
+    }
+    else
+    {
+        let texW = fnt.widths.reduce((total, w) => total + w, 0)
+        let png = new PNG({width: texW, height: fnt.ft_h})
+        let dataOffset = 0
+        let xOffset = 0
+        let byte = 0
+        let bit = 0
+
+        for (let c = fnt.ft_minchar; c <= fnt.ft_maxchar; ++c)
         {
-            let texW = fnt.widths.reduce((total, w) => total + w, 0)
-            let png = new PNG({width: texW, height: fnt.ft_h})
-            let dataOffset = 0
-            let xOffset = 0
-
-            for (let c = fnt.ft_minchar; c <= fnt.ft_maxchar; ++c)
+            let cid = c - fnt.ft_minchar
+            let w = fnt.widths[cid]
+            for (let y = 0; y < fnt.ft_h; ++y)
             {
-                let cid = c - fnt.ft_minchar
-                let w = fnt.widths[cid]
-                for (let y = 0; y < fnt.ft_h; ++y)
+                for (let x = 0; x < w; ++x)
                 {
-                    for (let x = 0; x < w; ++x)
+                    if (bit == 0)
                     {
-                        let col = data.readUInt8(dataOffset++)
-                        let k = y * texW + xOffset + x
-                        png.data[k * 4 + 0] = palette[col * 4 + 0]
-                        png.data[k * 4 + 1] = palette[col * 4 + 1]
-                        png.data[k * 4 + 2] = palette[col * 4 + 2]
-                        png.data[k * 4 + 3] = palette[col * 4 + 3]
+                        byte = data.readUInt8(dataOffset++)
+                    }
+                    let col = byte & (0x80 >> bit)
+                    bit = (bit + 1) % 8
+                    let k = y * texW + xOffset + x
+                    if (col)
+                    {
+                        png.data[k * 4 + 0] = 255
+                        png.data[k * 4 + 1] = 255
+                        png.data[k * 4 + 2] = 255
+                        png.data[k * 4 + 3] = 255
+                    }
+                    else
+                    {
+                        png.data[k * 4 + 0] = 0
+                        png.data[k * 4 + 1] = 0
+                        png.data[k * 4 + 2] = 0
+                        png.data[k * 4 + 3] = 0
                     }
                 }
-                xOffset += w
+                bit = 0
             }
-
-            file.image_data = png.data
-            
-            let buffer = PNG.sync.write(png)
-            fs.writeFileSync(`./converted/fonts/${file.file_name}.png`, buffer)
+            xOffset += w
         }
-        else
-        {
-            let texW = fnt.widths.reduce((total, w) => total + w, 0)
-            let png = new PNG({width: texW, height: fnt.ft_h})
-            let dataOffset = 0
-            let xOffset = 0
-            let byte = 0
-            let bit = 0
 
-            for (let c = fnt.ft_minchar; c <= fnt.ft_maxchar; ++c)
+        image = png
+    }
+
+    return {fnt: fnt, palette: palette, width: image.width, height: image.height, data: image.data}
+}
+
+// AngelCode BMFont text descriptor of a decoded font, for the strip PNG
+// `page`. Glyphs sit side by side from ft_minchar to ft_maxchar, and a kerning
+// pair gives the first character's width when followed by the second.
+function fontToBmfont(font, page)
+{
+    let fnt = font.fnt
+    let face = page.replace(/\..*$/, '')
+    let lines = []
+    lines.push(`info face="${face}" size=${fnt.ft_h} bold=0 italic=0 charset="" unicode=0 stretchH=100 smooth=0 aa=0 padding=0,0,0,0 spacing=0,0`)
+    lines.push(`common lineHeight=${fnt.ft_h} base=${fnt.ft_baseline} scaleW=${font.width} scaleH=${font.height} pages=1 packed=0`)
+    lines.push(`page id=0 file="${page}"`)
+    lines.push(`chars count=${fnt.widths.length}`)
+
+    let x = 0
+    fnt.widths.forEach((w, i) =>
+    {
+        lines.push(`char id=${fnt.ft_minchar + i} x=${x} y=0 width=${w} height=${fnt.ft_h} xoffset=0 yoffset=0 xadvance=${w} page=0 chnl=15`)
+        x += w
+    })
+
+    // Kerning characters are stored from ft_minchar
+    let kerns = fnt.kerns.filter(kern => kern.firstChar < fnt.widths.length && kern.secondChar < fnt.widths.length)
+    lines.push(`kernings count=${kerns.length}`)
+    kerns.forEach(kern =>
+    {
+        let amount = kern.newWidth - fnt.widths[kern.firstChar]
+        lines.push(`kerning first=${fnt.ft_minchar + kern.firstChar} second=${fnt.ft_minchar + kern.secondChar} amount=${amount}`)
+    })
+
+    return lines.join('\n') + '\n'
+}
+
+// BDF bitmap font of a decoded font. Mono fonts are exported as they are,
+// color font pixels are set when opaque and at least `threshold` bright
+// (0-255, 0 keeps every opaque pixel).
+function fontToBdf(font, name, threshold)
+{
+    let fnt = font.fnt
+    threshold = threshold || 0
+    let ascent = Math.min(fnt.ft_baseline, fnt.ft_h)
+    let descent = fnt.ft_h - ascent
+    let maxWidth = Math.max(...fnt.widths)
+    // XLFD fields are split on '-', which the font names have (font3-1)
+    let family = name.replace(/[-*?,"]/g, "_")
+    let lines = []
+    lines.push("STARTFONT 2.1")
+    lines.push(`FONT -Descent-${family}-Medium-R-Normal--${fnt.ft_h}-${fnt.ft_h * 10}-72-72-${(fnt.ft_flags & FT_PROPORTIONAL) ? "P" : "C"}-${maxWidth * 10}-ISO8859-1`)
+    lines.push(`SIZE ${fnt.ft_h} 72 72`)
+    lines.push(`FONTBOUNDINGBOX ${maxWidth} ${fnt.ft_h} 0 ${-descent}`)
+    lines.push("STARTPROPERTIES 4")
+    lines.push(`FOUNDRY "Descent"`)
+    lines.push(`FAMILY_NAME "${family}"`)
+    lines.push(`FONT_ASCENT ${ascent}`)
+    lines.push(`FONT_DESCENT ${descent}`)
+    lines.push("ENDPROPERTIES")
+    lines.push(`CHARS ${fnt.widths.length}`)
+
+    let x = 0
+    fnt.widths.forEach((w, i) =>
+    {
+        let c = fnt.ft_minchar + i
+        lines.push(`STARTCHAR char${c}`)
+        lines.push(`ENCODING ${c}`)
+        lines.push(`SWIDTH ${Math.round(w * 1000 / fnt.ft_h)} 0`)
+        lines.push(`DWIDTH ${w} 0`)
+        lines.push(`BBX ${w} ${fnt.ft_h} 0 ${-descent}`)
+        lines.push("BITMAP")
+        for (let y = 0; y < fnt.ft_h; ++y)
+        {
+            // Rows are padded to whole bytes, the leftmost pixel in the high bit
+            let row = Buffer.alloc(Math.ceil(w / 8))
+            for (let px = 0; px < w; ++px)
             {
-                let cid = c - fnt.ft_minchar
-                let w = fnt.widths[cid]
-                for (let y = 0; y < fnt.ft_h; ++y)
+                let k = (y * font.width + x + px) * 4
+                let brightness = (font.data[k] * 299 + font.data[k + 1] * 587 + font.data[k + 2] * 114) / 1000
+                if (font.data[k + 3] > 0 && brightness >= threshold)
                 {
-                    for (let x = 0; x < w; ++x)
-                    {
-                        if (bit == 0)
-                        {
-                            byte = data.readUInt8(dataOffset++)
-                        }
-                        let col = byte & (0x80 >> bit)
-                        bit = (bit + 1) % 8
-                        let k = y * texW + xOffset + x
-                        if (col)
-                        {
-                            png.data[k * 4 + 0] = 255
-                            png.data[k * 4 + 1] = 255
-                            png.data[k * 4 + 2] = 255
-                            png.data[k * 4 + 3] = 255
-                        }
-                        else
-                        {
-                            png.data[k * 4 + 0] = 0
-                            png.data[k * 4 + 1] = 0
-                            png.data[k * 4 + 2] = 0
-                            png.data[k * 4 + 3] = 0
-                        }
-                    }
-                    bit = 0
+                    row[px >> 3] |= 0x80 >> (px & 7)
                 }
-                xOffset += w
             }
-
-            file.image_data = png.data
-            
-            let buffer = PNG.sync.write(png)
-            fs.writeFileSync(`./converted/fonts/${file.file_name}.png`, buffer)
+            lines.push(row.toString('hex').toUpperCase() || "00")
         }
+        lines.push("ENDCHAR")
+        x += w
     })
+
+    lines.push("ENDFONT")
+    return lines.join('\n') + '\n'
 }
 
-if (output_sounds)
+const SOUND_RATE = 11025
+
+// Mono PCM WAV file around the sample data (8-bit unsigned or 16-bit signed)
+function wavFile(samples, rate, bits)
 {
-    sounds.filter(file =>
-    {
-        console.log(`converting ${file.name}`)
+    let offset = 0
+    let out_data = Buffer.alloc(44 + samples.length)
+
+    out_data.write("RIFF", offset, 'binary') // ChunkID
+    offset += 4
+    out_data.writeUInt32LE(36 + samples.length, offset) // ChunkSize
+    offset += 4
+    out_data.write("WAVE", offset, 'binary') // Format
+    offset += 4
+    out_data.write("fmt ", offset, 'binary') // Subchunk1ID
+    offset += 4
+    out_data.writeUInt32LE(16, offset) // Subchunk1Size
+    offset += 4
+    out_data.writeUInt16LE(1, offset) // AudioFormat
+    offset += 2
+    out_data.writeUInt16LE(1, offset) // NumChannels
+    offset += 2
+    out_data.writeUInt32LE(rate, offset) // SampleRate
+    offset += 4
+    out_data.writeUInt32LE(rate * bits / 8, offset) // ByteRate
+    offset += 4
+    out_data.writeUInt16LE(bits / 8, offset) // BlockAlign
+    offset += 2
+    out_data.writeUInt16LE(bits, offset) // BitsPerSample
+    offset += 2
+    out_data.write("data", offset, 'binary') // Subchunk2ID
+    offset += 4
+    out_data.writeUInt32LE(samples.length, offset) // Subchunk2Size
+    offset += 4
+    samples.copy(out_data, offset)
+
+    return out_data
+}
 
-        let offset = 0
-        file.nSamples = file.data_length * 2
-        let out_data = Buffer.alloc(44 + file.nSamples)
+// PIG sound as a WAV file. Sounds are 8-bit unsigned mono PCM, at 11025 Hz in
+// the PIG and the .s11 files and 22050 Hz in the .s22 files.
+// options: {rate: rate of the sound, resample: rate to convert to,
+//           normalize: scale to full range and write 16-bit samples}
+function decodeSound(entry, options)
+{
+    options = options || {}
+    let rate = options.rate || SOUND_RATE
 
-        out_data.writeUInt8('R'.charCodeAt(0), offset++) // ChunkID
-        out_data.writeUInt8('I'.charCodeAt(0), offset++)
-        out_data.writeUInt8('F'.charCodeAt(0), offset++)
-        out_data.writeUInt8('F'.charCodeAt(0), offset++)
-        out_data.writeUInt32LE(36 + file.nSamples, offset) // ChunkSize
-        offset += 4
-        out_data.writeUInt8('W'.charCodeAt(0), offset++) // Format
-        out_data.writeUInt8('A'.charCodeAt(0), offset++)
-        out_data.writeUInt8('V'.charCodeAt(0), offset++)
-        out_data.writeUInt8('E'.charCodeAt(0), offset++)
-        out_data.writeUInt8('f'.charCodeAt(0), offset++) // Subchunk1ID
-        out_data.writeUInt8('m'.charCodeAt(0), offset++)
-        out_data.writeUInt8('t'.charCodeAt(0), offset++)
-        out_data.writeUInt8(' '.charCodeAt(0), offset++)
-        out_data.writeUInt32LE(16, offset) // Subchunk1Size
-        offset += 4
-        out_data.writeUInt16LE(1, offset) // AudioFormat
-        offset += 2
-        out_data.writeUInt16LE(1, offset) // NumChannels
+    // Descent 1 shareware PIGs store their sounds compressed, with fewer data
+    // bytes than samples
+    if (entry.nSamples && entry.data_length < entry.nSamples)
+    {
+        throw new Error(`Compressed sound (${entry.data_length} bytes for ${entry.nSamples} samples) is not supported`)
+    }
+    let nSamples = Math.min(entry.nSamples || entry.data_length, entry.data_length, entry.data.length)
+    let pcm = entry.data.subarray(0, nSamples)
+
+    if (!options.normalize && (!options.resample || options.resample == rate))
+    {
+        return wavFile(pcm, rate, 8)
+    }
+
+    // Samples in the -1..1 range, linearly resampled
+    let out_rate = options.resample || rate
+    let length = Math.floor(nSamples * out_rate / rate)
+    let samples = new Float32Array(length)
+    let peak = 0
+    for (let i = 0; i < length; ++i)
+    {
+        let position = i * rate / out_rate
+        let i0 = Math.min(Math.floor(position), nSamples - 1)
+        let i1 = Math.min(i0 + 1, nSamples - 1)
+        let s0 = (pcm[i0] - 128) / 128
+        let s1 = (pcm[i1] - 128) / 128
+        samples[i] = s0 + (s1 - s0) * (position - i0)
+        peak = Math.max(peak, Math.abs(samples[i]))
+    }
+
+    if (options.normalize)
+    {
+        let scale = (peak > 0) ? 1 / peak : 1
+        let out = Buffer.alloc(length * 2)
+        for (let i = 0; i < length; ++i)
+        {
+            out.writeInt16LE(Math.max(-32768, Math.min(32767, Math.round(samples[i] * scale * 32767))), i * 2)
+        }
+        return wavFile(out, out_rate, 16)
+    }
+
+    let out = Buffer.alloc(length)
+    for (let i = 0; i < length; ++i)
+    {
+        out[i] = Math.max(0, Math.min(255, Math.round(samples[i] * 128 + 128)))
+    }
+    return wavFile(out, out_rate, 8)
+}
+
+// Headerless 8-bit unsigned PCM of the HOG, like digitest.raw (the sound card
+// test), as a WAV file. The data has to look like audio: centered on 128 and
+// moving in small steps, unlike noise or packed data.
+function decodeRawSound(buffer, options)
+{
+    let sum = 0
+    let steps = 0
+    for (let i = 0; i < buffer.length; ++i)
+    {
+        sum += buffer[i]
+        if (i > 0) steps += Math.abs(buffer[i] - buffer[i - 1])
+    }
+    if (buffer.length == 0 || Math.abs(sum / buffer.length - 128) > 24 || steps / buffer.length > 48)
+    {
+        throw new Error("Not 8-bit PCM")
+    }
+    return decodeSound({data: buffer, nSamples: buffer.length, data_length: buffer.length}, options)
+}
+
+// HMP music. The header gives the track count and the tempo in ticks per
+// second, the tracks follow at 0x308, each as chunk number, length (with
+// this 12 byte header) and track id.
+const HMP_TRACKS_OFFSET = 0x308
+
+// MIDI tempo written in the tempo track, the division then gives the ticks
+// per quarter note so that the HMP ticks keep their length
+const HMP_MIDI_TEMPO = 0x188000
+
+function readHmp(buffer)
+{
+    if (buffer.toString('binary', 0, 8) != "HMIMIDIP")
+    {
+        throw new Error("HMP file not HMIMIDIP")
+    }
+    let hmp = {}
+    let num_tracks = buffer.readInt32LE(0x30)
+    hmp.tempo = buffer.readInt32LE(0x38)
+    hmp.tracks = []
+
+    let file_offset = HMP_TRACKS_OFFSET
+    for (let i = 0; i < num_tracks; ++i)
+    {
+        let length = buffer.readInt32LE(file_offset + 4)
+        if (length < 12 || file_offset + length > buffer.length)
+        {
+            throw new Error(`HMP track ${i} is truncated`)
+        }
+        hmp.tracks.push(buffer.subarray(file_offset + 12, file_offset + length))
+        file_offset += length
+    }
+    return hmp
+}
+
+// MIDI variable length quantity, 7 bits per byte with the high bit set on all
+// but the last one
+function writeVarLen(value)
+{
+    let bytes = [value & 0x7F]
+    while ((value >>= 7) > 0)
+    {
+        bytes.unshift((value & 0x7F) | 0x80)
+    }
+    return bytes
+}
+
+// HMP track events as a MIDI track. HMP deltas have their 7 bit groups in the
+// opposite order and the high bit marks the last byte instead.
+function hmpTrackToMidi(data)
+{
+    let out = []
+    let offset = 0
+    let status = 0
+
+    while (offset < data.length)
+    {
+        let delta = 0
+        let shift = 0
+        let byte = 0
+        do
+        {
+            if (offset >= data.length)
+            {
+                throw new Error("HMP delta time past the end of the track")
+            }
+            byte = data[offset++]
+            delta |= (byte & 0x7F) << shift
+            shift += 7
+        } while (!(byte & 0x80))
+
+        // Running status when the event has no status byte
+        if (data[offset] & 0x80)
+        {
+            status = data[offset++]
+        }
+        else if (!status)
+        {
+            throw new Error(`HMP event without status at ${offset}`)
+        }
+
+        if (status == 0xFF)
+        {
+            let type = data[offset++]
+            let length = data[offset++]
+            out.push(...writeVarLen(delta), 0xFF, type, ...writeVarLen(length), ...data.subarray(offset, offset + length))
+            offset += length
+            status = 0
+            if (type == 0x2F)
+            {
+                return Buffer.from(out)
+            }
+            continue
+        }
+
+        let size = 0
+        switch (status & 0xF0)
+        {
+            case 0x80: // Note off
+            case 0x90: // Note on
+            case 0xA0: // Aftertouch
+            case 0xB0: // Controller, HMI loop markers included
+            case 0xE0: // Pitch bend
+                size = 2
+                break
+            case 0xC0: // Program change
+            case 0xD0: // Channel pressure
+                size = 1
+                break
+            default:
+                throw new Error(`Unhandled HMP event 0x${status.toString(16)}`)
+        }
+        out.push(...writeVarLen(delta), status, ...data.subarray(offset, offset + size))
+        offset += size
+    }
+
+    // Tracks that stop without their end marker
+    out.push(0, 0xFF, 0x2F, 0)
+    return Buffer.from(out)
+}
+
+// HMP as a Standard MIDI File (type 1). The first HMP track only carries HMI
+// data, it is replaced by a tempo track.
+function decodeHmp(buffer)
+{
+    let hmp = readHmp(buffer)
+
+    let chunk = (id, data) =>
+    {
+        let header = Buffer.alloc(8)
+        header.write(id, 0, 'binary')
+        header.writeUInt32BE(data.length, 4)
+        return Buffer.concat([header, data])
+    }
+
+    let tempo = Buffer.from([0, 0xFF, 0x51, 0x03, (HMP_MIDI_TEMPO >> 16) & 0xFF, (HMP_MIDI_TEMPO >> 8) & 0xFF, HMP_MIDI_TEMPO & 0xFF, 0, 0xFF, 0x2F, 0])
+    let tracks = [chunk("MTrk", tempo)]
+    hmp.tracks.slice(1).forEach(track =>
+    {
+        tracks.push(chunk("MTrk", hmpTrackToMidi(track)))
+    })
+
+    let header = Buffer.alloc(6)
+    header.writeUInt16BE(1, 0) // Format
+    header.writeUInt16BE(tracks.length, 2)
+    header.writeUInt16BE(Math.round(hmp.tempo * HMP_MIDI_TEMPO / 1000000), 4) // Ticks per quarter note
+    return Buffer.concat([chunk("MThd", header), ...tracks])
+}
+
+// Levels
+const MAX_SIDES_PER_SEGMENT = 6
+const MAX_WALLS_PER_LINK = 10
+const MAX_AI_FLAGS = 11
+const MAX_SUBMODELS = 10
+
+// Segment corners of each side: left, top, right, bottom, back, front
+const SIDE_TO_VERTS = [
+    [7, 6, 2, 3],
+    [0, 4, 7, 3],
+    [0, 1, 5, 4],
+    [2, 6, 5, 1],
+    [4, 5, 6, 7],
+    [3, 2, 1, 0]
+]
+
+const MT_PHYSICS = 1
+const MT_SPINNING = 3
+
+const CT_AI = 1
+const CT_EXPLOSION = 2
+const CT_WEAPON = 9
+const CT_POWERUP = 13
+const CT_LIGHT = 14
+
+const RT_POLYOBJ = 1
+const RT_FIREBALL = 2
+const RT_HOSTAGE = 4
+const RT_POWERUP = 5
+const RT_MORPH = 6
+const RT_WEAPON_VCLIP = 7
+
+// Level (RDL/SDL) mine and game data as plain JSON
+function decodeLevel(buffer)
+{
+    let sig = buffer.toString('binary', 0, 4)
+    if (sig != "LVLP")
+    {
+        throw new Error(`Expected "LVLP" signature`)
+    }
+
+    let level = {}
+    level.version = buffer.readInt32LE(4)
+    let mineDataOffset = buffer.readInt32LE(8)
+    let gameDataOffset = buffer.readInt32LE(12)
+
+    // Mine data
+    let offset = mineDataOffset
+    level.compiledVersion = buffer.readUInt8(offset++)
+    let numVertices = buffer.readUInt16LE(offset)
+    offset += 2
+    let numSegments = buffer.readUInt16LE(offset)
+    offset += 2
+
+    level.vertices = []
+    for (let i = 0; i < numVertices; ++i)
+    {
+        level.vertices.push(readVector(buffer, offset))
+        offset += 12
+    }
+
+    level.segments = []
+    for (let i = 0; i < numSegments; ++i)
+    {
+        let segment = {}
+        let bitMask = buffer.readUInt8(offset++)
+
+        segment.children = []
+        for (let s = 0; s < MAX_SIDES_PER_SEGMENT; ++s)
+        {
+            if (bitMask & (1 << s))
+            {
+                segment.children.push(buffer.readInt16LE(offset))
+                offset += 2
+            }
+            else
+            {
+                segment.children.push(-1)
+            }
+        }
+
+        segment.verts = []
+        for (let v = 0; v < 8; ++v)
+        {
+            segment.verts.push(buffer.readInt16LE(offset))
+            offset += 2
+        }
+
+        // Fuel center, matcen, reactor, etc.
+        if (bitMask & (1 << MAX_SIDES_PER_SEGMENT))
+        {
+            segment.special = buffer.readUInt8(offset++)
+            segment.matcenNum = buffer.readInt8(offset++)
+            segment.value = buffer.readInt16LE(offset)
+            offset += 2
+        }
+        else
+        {
+            segment.special = 0
+            segment.matcenNum = -1
+            segment.value = 0
+        }
+
+        // Stored as fix >> 4
+        segment.staticLight = FIX(buffer.readUInt16LE(offset) << 4)
+        offset += 2
+
+        segment.sides = []
+        let wallMask = buffer.readUInt8(offset++)
+        for (let s = 0; s < MAX_SIDES_PER_SEGMENT; ++s)
+        {
+            let side = {}
+            side.wallNum = -1
+            if (wallMask & (1 << s))
+            {
+                let wallNum = buffer.readUInt8(offset++)
+                if (wallNum != 255) side.wallNum = wallNum
+            }
+            segment.sides.push(side)
+        }
+
+        for (let s = 0; s < MAX_SIDES_PER_SEGMENT; ++s)
+        {
+            let side = segment.sides[s]
+            side.tmapNum = 0
+            side.tmapNum2 = 0
+            side.uvls = []
+
+            // Only sides that can be seen are stored
+            if (segment.children[s] == -1 || side.wallNum != -1)
+            {
+                let tmap = buffer.readUInt16LE(offset)
+                offset += 2
+                side.tmapNum = tmap & 0x7FFF
+                if (tmap & 0x8000)
+                {
+                    side.tmapNum2 = buffer.readUInt16LE(offset)
+                    offset += 2
+                }
+
+                // u, v stored as fix >> 5, l as fix >> 1
+                for (let j = 0; j < 4; ++j)
+                {
+                    side.uvls.push({
+                        u: FIX(buffer.readInt16LE(offset) << 5),
+                        v: FIX(buffer.readInt16LE(offset + 2) << 5),
+                        l: FIX(buffer.readUInt16LE(offset + 4) << 1)
+                    })
+                    offset += 6
+                }
+            }
+            else
+            {
+                for (let j = 0; j < 4; ++j)
+                {
+                    side.uvls.push({u: 0, v: 0, l: 0})
+                }
+            }
+        }
+
+        level.segments.push(segment)
+    }
+
+    // Game data
+    offset = gameDataOffset
+    let fileinfo = {}
+    fileinfo.signature = buffer.readUInt16LE(offset)
+    fileinfo.version = buffer.readUInt16LE(offset + 2)
+    fileinfo.size = buffer.readInt32LE(offset + 4)
+    fileinfo.mineFilename = buffer.toString('binary', offset + 8, offset + 23)
+    fileinfo.mineFilename = fileinfo.mineFilename.substr(0, fileinfo.mineFilename.indexOf('\0'))
+    fileinfo.level = buffer.readInt32LE(offset + 23)
+    let tables = ["player", "object", "walls", "doors", "triggers", "links", "control", "matcen"]
+    let tableOffset = offset + 27
+    tables.forEach(table =>
+    {
+        if (table != "player")
+        {
+            fileinfo[`${table}Offset`] = buffer.readInt32LE(tableOffset)
+            fileinfo[`${table}Howmany`] = buffer.readInt32LE(tableOffset + 4)
+            fileinfo[`${table}Sizeof`] = buffer.readInt32LE(tableOffset + 8)
+            tableOffset += 12
+        }
+        else
+        {
+            fileinfo.playerOffset = buffer.readInt32LE(tableOffset)
+            fileinfo.playerSizeof = buffer.readInt32LE(tableOffset + 4)
+            tableOffset += 8
+        }
+    })
+    level.gameInfo = fileinfo
+    offset += fileinfo.size
+
+    // Each table is read from the offset the fileinfo gives it (from the start
+    // of the level), like load_game_data() seeks to them. Tables without one
+    // (-1) are taken to follow the previous one.
+    let seekTable = (table) =>
+    {
+        let tableOffset = fileinfo[`${table}Offset`]
+        if (tableOffset > -1 && fileinfo[`${table}Howmany`] > 0)
+        {
+            if (tableOffset >= buffer.length)
+            {
+                throw new Error(`The ${table} table offset (${tableOffset}) is past the end of the level`)
+            }
+            offset = tableOffset
+        }
+    }
+
+    // The name and the model names follow the fileinfo
+    level.name = ""
+    if (fileinfo.version >= 14)
+    {
+        while (offset < buffer.length)
+        {
+            let c = buffer.readUInt8(offset++)
+            if (c == 0x0a || c == 0) break
+            level.name += String.fromCharCode(c)
+        }
+    }
+
+    level.pofNames = []
+    if (fileinfo.version >= 19)
+    {
+        let numPofNames = buffer.readInt16LE(offset)
         offset += 2
-        out_data.writeUInt32LE(11025, offset) // SampleRate
+        for (let i = 0; i < numPofNames; ++i)
+        {
+            let name = buffer.toString('binary', offset, offset + 13)
+            level.pofNames.push(name.substr(0, name.indexOf('\0')))
+            offset += 13
+        }
+    }
+
+    seekTable("object")
+    level.objects = []
+    for (let i = 0; i < fileinfo.objectHowmany; ++i)
+    {
+        let object = {}
+        object.type = buffer.readUInt8(offset++)
+        object.id = buffer.readUInt8(offset++)
+        object.controlType = buffer.readUInt8(offset++)
+        object.movementType = buffer.readUInt8(offset++)
+        object.renderType = buffer.readUInt8(offset++)
+        object.flags = buffer.readUInt8(offset++)
+        object.segnum = buffer.readInt16LE(offset)
+        offset += 2
+        object.pos = readVector(buffer, offset)
+        offset += 12
+        object.orient = {
+            rvec: readVector(buffer, offset),
+            uvec: readVector(buffer, offset + 12),
+            fvec: readVector(buffer, offset + 24)
+        }
+        offset += 36
+        object.size = FIX(buffer.readInt32LE(offset))
         offset += 4
-        out_data.writeUInt32LE(11025, offset) // ByteRate
+        object.shields = FIX(buffer.readInt32LE(offset))
         offset += 4
-        out_data.writeUInt16LE(1, offset) // BlockAlign
+        object.lastPos = readVector(buffer, offset)
+        offset += 12
+        object.containsType = buffer.readInt8(offset++)
+        object.containsId = buffer.readInt8(offset++)
+        object.containsCount = buffer.readInt8(offset++)
+
+        switch (object.movementType)
+        {
+            case MT_PHYSICS:
+            {
+                let physics = {}
+                physics.velocity = readVector(buffer, offset)
+                physics.thrust = readVector(buffer, offset + 12)
+                offset += 24
+                physics.mass = FIX(buffer.readInt32LE(offset))
+                physics.drag = FIX(buffer.readInt32LE(offset + 4))
+                physics.brakes = FIX(buffer.readInt32LE(offset + 8))
+                offset += 12
+                physics.rotvel = readVector(buffer, offset)
+                physics.rotthrust = readVector(buffer, offset + 12)
+                offset += 24
+                physics.turnroll = buffer.readInt16LE(offset)
+                physics.flags = buffer.readUInt16LE(offset + 2)
+                offset += 4
+                object.physics = physics
+                break
+            }
+            case MT_SPINNING:
+            {
+                object.spinRate = readVector(buffer, offset)
+                offset += 12
+                break
+            }
+        }
+
+        switch (object.controlType)
+        {
+            case CT_AI:
+            {
+                let ai = {}
+                ai.behavior = buffer.readUInt8(offset++)
+                ai.flags = []
+                for (let j = 0; j < MAX_AI_FLAGS; ++j)
+                {
+                    ai.flags.push(buffer.readInt8(offset++))
+                }
+                ai.hideSegment = buffer.readInt16LE(offset)
+                ai.hideIndex = buffer.readInt16LE(offset + 2)
+                ai.pathLength = buffer.readInt16LE(offset + 4)
+                ai.curPathIndex = buffer.readInt16LE(offset + 6)
+                ai.followPathStartSeg = buffer.readInt16LE(offset + 8)
+                ai.followPathEndSeg = buffer.readInt16LE(offset + 10)
+                offset += 12
+                object.ai = ai
+                break
+            }
+            case CT_EXPLOSION:
+            {
+                object.explosion = {
+                    spawnTime: FIX(buffer.readInt32LE(offset)),
+                    deleteTime: FIX(buffer.readInt32LE(offset + 4)),
+                    deleteObjnum: buffer.readInt16LE(offset + 8)
+                }
+                offset += 10
+                break
+            }
+            case CT_WEAPON:
+            {
+                object.weapon = {
+                    parentType: buffer.readInt16LE(offset),
+                    parentNum: buffer.readInt16LE(offset + 2),
+                    parentSignature: buffer.readInt32LE(offset + 4)
+                }
+                offset += 8
+                break
+            }
+            case CT_LIGHT:
+            {
+                object.light = {intensity: FIX(buffer.readInt32LE(offset))}
+                offset += 4
+                break
+            }
+            case CT_POWERUP:
+            {
+                object.powerup = {count: 1}
+                if (fileinfo.version >= 25)
+                {
+                    object.powerup.count = buffer.readInt32LE(offset)
+                    offset += 4
+                }
+                break
+            }
+        }
+
+        switch (object.renderType)
+        {
+            case RT_MORPH:
+            case RT_POLYOBJ:
+            {
+                let polyObj = {}
+                polyObj.modelNum = buffer.readInt32LE(offset)
+                offset += 4
+                polyObj.animAngles = []
+                for (let j = 0; j < MAX_SUBMODELS; ++j)
+                {
+                    polyObj.animAngles.push(readAngles(buffer, offset))
+                    offset += 6
+                }
+                polyObj.subobjFlags = buffer.readInt32LE(offset)
+                polyObj.tmapOverride = buffer.readInt32LE(offset + 4)
+                offset += 8
+                object.polyObj = polyObj
+                break
+            }
+            case RT_WEAPON_VCLIP:
+            case RT_HOSTAGE:
+            case RT_POWERUP:
+            case RT_FIREBALL:
+            {
+                object.vclip = {
+                    vclipNum: buffer.readInt32LE(offset),
+                    frameTime: FIX(buffer.readInt32LE(offset + 4)),
+                    frameNum: buffer.readInt8(offset + 8)
+                }
+                offset += 9
+                break
+            }
+        }
+
+        level.objects.push(object)
+    }
+
+    seekTable("walls")
+    level.walls = []
+    for (let i = 0; i < fileinfo.wallsHowmany; ++i)
+    {
+        level.walls.push({
+            segnum: buffer.readInt32LE(offset),
+            sidenum: buffer.readInt32LE(offset + 4),
+            hps: FIX(buffer.readInt32LE(offset + 8)),
+            linkedWall: buffer.readInt32LE(offset + 12),
+            type: buffer.readUInt8(offset + 16),
+            flags: buffer.readUInt8(offset + 17),
+            state: buffer.readUInt8(offset + 18),
+            trigger: buffer.readUInt8(offset + 19),
+            clipNum: buffer.readInt8(offset + 20),
+            keys: buffer.readUInt8(offset + 21),
+            controllingTrigger: buffer.readInt8(offset + 22),
+            cloakValue: buffer.readInt8(offset + 23)
+        })
+        offset += 24
+    }
+
+    seekTable("doors")
+    level.doors = []
+    for (let i = 0; i < fileinfo.doorsHowmany; ++i)
+    {
+        level.doors.push({
+            nParts: buffer.readInt32LE(offset),
+            frontWallnum: [buffer.readInt16LE(offset + 4), buffer.readInt16LE(offset + 6)],
+            backWallnum: [buffer.readInt16LE(offset + 8), buffer.readInt16LE(offset + 10)],
+            time: FIX(buffer.readInt32LE(offset + 12))
+        })
+        offset += 16
+    }
+
+    seekTable("triggers")
+    level.triggers = []
+    for (let i = 0; i < fileinfo.triggersHowmany; ++i)
+    {
+        let trigger = {}
+        trigger.type = buffer.readUInt8(offset++)
+        trigger.flags = buffer.readInt16LE(offset)
         offset += 2
-        out_data.writeUInt16LE(8, offset) // BitsPerSample
+        trigger.value = FIX(buffer.readInt32LE(offset))
+        trigger.time = FIX(buffer.readInt32LE(offset + 4))
+        offset += 8
+        trigger.linkNum = buffer.readInt8(offset++)
+        trigger.numLinks = buffer.readInt16LE(offset)
         offset += 2
-        out_data.writeUInt8('d'.charCodeAt(0), offset++) // Subchunk2ID
-        out_data.writeUInt8('a'.charCodeAt(0), offset++)
-        out_data.writeUInt8('t'.charCodeAt(0), offset++)
-        out_data.writeUInt8('a'.charCodeAt(0), offset++)
-        out_data.writeUInt32LE(file.nSamples, offset) // Subchunk2Size
-        offset += 4
-        for (let i = 0; i < file.data_length; ++i)
+        trigger.seg = []
+        trigger.side = []
+        for (let j = 0; j < MAX_WALLS_PER_LINK; ++j)
+        {
+            trigger.seg.push(buffer.readInt16LE(offset + j * 2))
+            trigger.side.push(buffer.readInt16LE(offset + MAX_WALLS_PER_LINK * 2 + j * 2))
+        }
+        offset += MAX_WALLS_PER_LINK * 4
+        level.triggers.push(trigger)
+    }
+
+    // Links aren't used by the game, they are kept as raw bytes
+    seekTable("links")
+    level.links = []
+    for (let i = 0; i < fileinfo.linksHowmany && fileinfo.linksSizeof > 0; ++i)
+    {
+        level.links.push(buffer.toString('hex', offset, offset + fileinfo.linksSizeof))
+        offset += fileinfo.linksSizeof
+    }
+
+    // Reactor triggers
+    seekTable("control")
+    level.controlTriggers = []
+    for (let i = 0; i < fileinfo.controlHowmany; ++i)
+    {
+        let trigger = {}
+        trigger.numLinks = buffer.readInt16LE(offset)
+        offset += 2
+        trigger.seg = []
+        trigger.side = []
+        for (let j = 0; j < MAX_WALLS_PER_LINK; ++j)
         {
-            let sample = file.data.readUInt8(i)
+            trigger.seg.push(buffer.readInt16LE(offset + j * 2))
+            trigger.side.push(buffer.readInt16LE(offset + MAX_WALLS_PER_LINK * 2 + j * 2))
+        }
+        offset += MAX_WALLS_PER_LINK * 4
+        level.controlTriggers.push(trigger)
+    }
+
+    // Robot makers
+    seekTable("matcen")
+    level.matcens = []
+    for (let i = 0; i < fileinfo.matcenHowmany; ++i)
+    {
+        level.matcens.push({
+            robotFlags: buffer.readInt32LE(offset),
+            hitPoints: FIX(buffer.readInt32LE(offset + 4)),
+            interval: FIX(buffer.readInt32LE(offset + 8)),
+            segnum: buffer.readInt16LE(offset + 12),
+            fuelcenNum: buffer.readInt16LE(offset + 14)
+        })
+        offset += 16
+    }
+
+    return level
+}
+
+// Textured mesh of a level, one face per rendered side. With the PIG
+// (textures and tmaps from readPig()) the materials point at the textures.
+function levelToObj(level, name, pig)
+{
+    let textures = pig ? pig.textures : []
+    let tmaps = pig ? pig.tmaps : []
+    let obj = `mtllib ${name}.mtl\n`
+    let mtl = ``
+    let materials = {}
+    let currentMaterial = null
+    let numUVs = 0
+
+    level.vertices.forEach(pt =>
+    {
+        obj += `v ${pt.x} ${pt.y} ${pt.z}\n`
+    })
+
+    level.segments.forEach((segment, segnum) =>
+    {
+        obj += `g segment${segnum}\n`
+        segment.sides.forEach((side, sidenum) =>
+        {
+            if (segment.children[sidenum] != -1 && side.wallNum == -1) return
+
+            // Overlays (tmapNum2) are left out, only the base texture is mapped
+            let matName = `tmap${side.tmapNum}`
+            let bitmapIndex = tmaps[side.tmapNum]
+            let texture = textures[bitmapIndex - 1]
+            if (texture)
             {
-                let s = (sample & 0xF) * 16
-                if (s < 128) s = 127 - s
-                out_data.writeUInt8(s, offset++)
+                matName = `${texture.name}_${texture.frame}`
             }
+            if (!materials.hasOwnProperty(matName))
             {
-                let s = ((sample >> 4) & 0xF) * 16
-                if (s < 128) s = 127 - s
-                out_data.writeUInt8(s, offset++)
+                materials[matName] = true
+                mtl += `newmtl ${matName}\n`
+                if (texture)
+                {
+                    mtl += `map_Kd ../textures/${matName}.png\n`
+                }
+            }
+            if (currentMaterial != matName)
+            {
+                currentMaterial = matName
+                obj += `usemtl ${matName}\n`
             }
+
+            side.uvls.forEach(uvl =>
+            {
+                obj += `vt ${uvl.u} ${1 - uvl.v}\n`
+            })
+
+            obj += `f`
+            for (let i = 0; i < 4; ++i)
+            {
+                let vertnum = segment.verts[SIDE_TO_VERTS[sidenum][i]]
+                obj += ` ${vertnum + 1}/${numUVs + i + 1}`
+            }
+            obj += "\n"
+            numUVs += 4
+        })
+    })
+
+    return {obj: obj, mtl: mtl}
+}
+// Category converting each HOG entry type, the others are listed at the end
+const TYPE_CATEGORIES = {pcx: "backgrounds", 256: "palettes", pof: "models", txb: "briefings", bbm: "surfaces", fnt: "fonts", raw: "sounds", hmp: "music", rdl: "maps", sdl: "maps"}
+
+const CATEGORIES = ["raw", "textures", "palettes", "backgrounds", "models", "sounds", "music", "briefings", "surfaces", "fonts", "maps", "gifs"]
+
+function main()
+{
+    args
+        .option(['i', 'hog'], 'HOG file to extract', './input/DESCENT.HOG')
+        .option(['p', 'pig'], 'PIG file with the textures and sounds', './input/DESCENT.PIG')
+        .option(['m', 'ham'], 'Descent II HAM file with the level texture table (looked up next to the PIG)', '')
+        .option(['s', 'snd'], 'Descent II sound file, .s11 or .s22 (looked up next to the PIG)', '')
+        .option(['r', 'rawdir'], 'Output directory for raw extracted files', './output')
+        .option(['c', 'converted'], 'Output directory for converted files', './converted')
+        .option(['a', 'resample'], 'Resample the sounds to this rate, e.g. 22050 or 44100', 0)
+        .option(['n', 'normalize'], 'Normalize the sounds and write them as 16-bit WAV', false)
+        .option(['t', 'font-threshold'], 'Brightness (0-255) a color font pixel needs to be set in the BDF fonts', 0)
+        .option(['o', 'only'], `Only output these categories (${CATEGORIES.join(', ')})`, [])
+        .option(['x', 'exclude'], 'Skip these categories', [])
+        .option(['f', 'filter'], 'Only convert files matching these globs, e.g. "robot*.pof" or "*.txb"', [])
+        .example('node extractor.js --only models --filter "robot*.pof"', 'Convert only the robot models')
+        .example('node extractor.js -x raw -x sounds', 'Convert everything except raw files and sounds')
+
+    const flags = args.parse(process.argv)
+
+    // Lists can be given several times or comma separated
+    let listFlag = (value) => [].concat(value).join(',').split(',').map(item => item.trim()).filter(item => item.length > 0)
+
+    let only = listFlag(flags.only)
+    let exclude = listFlag(flags.exclude)
+    only.concat(exclude).forEach(category =>
+    {
+        if (!CATEGORIES.includes(category))
+        {
+            console.log(`Unknown category "${category}", expected one of ${CATEGORIES.join(', ')}`)
+            process.exit(1)
         }
+    })
+    let enabled = (category) => (only.length == 0 || only.includes(category)) && !exclude.includes(category)
+
+    let output_raw = enabled("raw")
+    let output_textures = enabled("textures")
+    let output_palettes = enabled("palettes")
+    let output_backgrounds = enabled("backgrounds")
+    let output_models = enabled("models")
+    let output_sounds = enabled("sounds")
+    let output_music = enabled("music")
+    let output_briefings = enabled("briefings")
+    let output_surfaces = enabled("surfaces")
+    let output_font = enabled("fonts")
+    let output_maps = enabled("maps")
+    let output_gifs = enabled("gifs")
+
+    let raw_dir = flags.rawdir
+    let converted_dir = flags.converted
+
+    // Glob filter on file names: * and ? wildcards, case insensitive like DOS
+    let filters = listFlag(flags.filter).map(glob =>
+    {
+        let pattern = glob.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.')
+        return new RegExp(`^${pattern}$`, 'i')
+    })
+    let selected = (name) => filters.length == 0 || filters.some(filter => filter.test(name))
+
+    if (output_raw)
+    {
+        fs.mkdirSync(raw_dir, {recursive: true})
+    }
+    CATEGORIES.filter(category => category != "raw" && enabled(category)).forEach(category =>
+    {
+        fs.mkdirSync(`${converted_dir}/${category == "briefings" ? "texts" : category}`, {recursive: true})
+    })
 
-        fs.writeFileSync(`./converted/sounds/${file.name}.wav`, out_data)
+    // Extract HOG files
+    let palette = null
+    let hog_files = []
+    try
+    {
+        hog_files = readHog(fs.readFileSync(flags.hog))
+    }
+    catch (e)
+    {
+        console.log(e.message)
+        process.exit(1)
+    }
+
+    // HOG files that failed to convert, for the summary
+    let failed = {}
+    let fail = (file, e) =>
+    {
+        console.log(`  ${e.message}`)
+        failed[file.file_name] = e.message
+    }
+
+    hog_files.forEach(file =>
+    {
+        console.log(`${file.file_name} [${file.file_size} B]`)
+
+        if (output_raw && selected(file.file_name))
+        {
+            fs.writeFileSync(`${raw_dir}/${file.file_name}`, file.data)
+        }
     })
+
+    // Save PCX
+    if (output_backgrounds)
+    {
+        hog_files.filter(file => file.type == "pcx" && selected(file.file_name)).forEach(file =>
+        {
+            try
+            {
+                let pcx = new PCX(file.data).decode()
+                let png = new PNG({width: pcx.width, height: pcx.height})
+                for (let i = 0; i < pcx.width * pcx.height * 4; ++i)
+                {
+                    png.data[i] = pcx.pixelArray[i]
+                }
+
+                let buffer = PNG.sync.write(png)
+                fs.writeFileSync(`${converted_dir}/backgrounds/${file.file_name}.png`, buffer)
+            }
+            catch (e)
+            {
+                fail(file, e instanceof Error ? e : new Error(e))
+            }
+        })
+    }
+
+    // Save palette
+    if (output_palettes || output_textures || output_models || output_gifs)
+    {
+        let palettes = {}
+        hog_files.filter(file => file.type == "256").forEach(file =>
+        {
+            let data = decodePalette(file.data)
+
+            if (output_palettes && selected(file.file_name))
+            {
+                let png = new PNG({width: 16, height: 16 * 35})
+                data.copy(png.data)
+                let buffer = PNG.sync.write(png)
+                fs.writeFileSync(`${converted_dir}/palettes/${file.file_name}.png`, buffer)
+            }
+
+            palettes[file.file_name.toLowerCase()] = data
+        })
+
+        // Descent II PIGs go with the palette of the same name (groupa.pig, groupa.256)
+        let pig_palette = `${path.basename(flags.pig, path.extname(flags.pig)).toLowerCase()}.256`
+        palette = palettes[pig_palette] || palettes["palette.256"] || Object.values(palettes)[0] || null
+    }
+
+    // Case insensitive lookup of a file in the PIG's directory
+    let nextToPig = (name) =>
+    {
+        let dir = path.dirname(flags.pig)
+        let found = fs.existsSync(dir) ? fs.readdirSync(dir).find(file => file.toLowerCase() == name) : null
+        return found ? path.join(dir, found) : null
+    }
+
+    let textures = []
+    let sounds = []
+    let tmaps = []
+    let sound_rate = SOUND_RATE
+    let game = 1
+
+    if (output_sounds || output_textures || output_maps || output_gifs || output_briefings)
+    {
+        let pig = null
+        try
+        {
+            pig = readPig(fs.readFileSync(flags.pig))
+        }
+        catch (e)
+        {
+            fail({file_name: path.basename(flags.pig)}, e)
+        }
+
+        if (pig)
+        {
+            textures = pig.textures
+            sounds = pig.sounds
+            tmaps = pig.tmaps
+            game = pig.game
+            console.log(`PIG: ${pig.variant}`)
+        }
+
+        if (pig && pig.game == 2)
+        {
+            let ham_path = flags.ham || nextToPig("descent2.ham")
+            if (ham_path)
+            {
+                try
+                {
+                    let ham = readHam(fs.readFileSync(ham_path))
+                    tmaps = ham.tmaps
+                    sounds = ham.sounds
+                    console.log(`HAM: ${ham_path} (version ${ham.version})`)
+                }
+                catch (e)
+                {
+                    fail({file_name: path.basename(ham_path)}, e)
+                }
+            }
+            let snd_path = flags.snd || nextToPig("descent2.s11")
+            if (snd_path)
+            {
+                try
+                {
+                    sounds = readSoundFile(fs.readFileSync(snd_path)).sounds
+                    sound_rate = /\.s22$/i.test(snd_path) ? 22050 : SOUND_RATE
+                    console.log(`sounds: ${snd_path}`)
+                }
+                catch (e)
+                {
+                    fail({file_name: path.basename(snd_path)}, e)
+                }
+            }
+        }
+
+        console.log(`num_textures: ${textures.length}`)
+        console.log(`num_sounds: ${sounds.length}`)
+        textures.forEach(texture =>
+        {
+            let {data, ...header} = texture
+            console.log(`texture ${JSON.stringify(header)}`)
+        })
+        sounds.forEach(sound =>
+        {
+            let {data, ...header} = sound
+            console.log(`sound ${JSON.stringify(header)}`)
+        })
+
+        // Without the PIG there are no bitmaps, without a palette no colors for them
+        if (!pig || !palette)
+        {
+            let skipped = [["textures", output_textures], ["gifs", output_gifs]].filter(([category, output]) => output).map(([category]) => category)
+            if (skipped.length > 0)
+            {
+                console.log(`skipping ${skipped.join(" and ")}: ${!pig ? "no PIG" : "no palette (.256) in the HOG"}`)
+            }
+            output_textures = false
+            output_gifs = false
+        }
+    }
+
+    if (output_textures)
+    {
+        let t = 0
+        let failed = []
+        let converting = textures.filter(texture => selected(texture.name))
+        converting.forEach(texture =>
+        {
+            process.stdout.write(`\rconverting textures ${t}/${converting.length}`)
+            ++t
+
+            try
+            {
+                let bitmap = decodeBitmap(texture, palette)
+                texture.pixels = bitmap.indices
+                let png = new PNG({width: bitmap.width, height: bitmap.height})
+                bitmap.data.copy(png.data)
+                let buffer = PNG.sync.write(png)
+                fs.writeFileSync(`${converted_dir}/textures/${texture.name}_${texture.frame}.png`, buffer)
+                // Palette indices next to the PNG, colors alone don't tell 254/255 apart
+                fs.writeFileSync(`${converted_dir}/textures/${texture.name}_${texture.frame}.idx`, bitmap.indices)
+            }
+            catch (e)
+            {
+                failed.push({name: `${texture.name}_${texture.frame}`, flag: texture.flag, error: e.message})
+            }
+        })
+
+        // Bitmap headers, for the tools that need the flags (transparency, etc.)
+        let headers = textures.map(texture => ({
+            name: texture.name,
+            frame: texture.frame,
+            abmFlag: texture.abmFlag,
+            xsize: texture.xsize,
+            ysize: texture.ysize,
+            flag: texture.flag,
+            ave_color: texture.ave_color
+        }))
+        fs.writeFileSync(`${converted_dir}/textures/textures.json`, JSON.stringify(headers, null, 2))
+
+        console.log(`\nconverted ${converting.length - failed.length}/${converting.length} textures`)
+        failed.forEach(texture =>
+        {
+            console.log(`  failed ${texture.name} (flag ${texture.flag}): ${texture.error}`)
+        })
+    }
+
+    // Animated bitmaps (ABM) straight from the PIG frames and palette indices
+    if (output_gifs)
+    {
+        let animations = {}
+        textures.filter(texture => texture.abmFlag && selected(texture.name)).forEach(texture =>
+        {
+            if (!animations.hasOwnProperty(texture.name)) animations[texture.name] = []
+            animations[texture.name].push(texture)
+        })
+
+        let gifPalette = Buffer.alloc(256 * 3)
+        for (let i = 0; i < 256; ++i)
+        {
+            gifPalette[i * 3 + 0] = palette[i * 4 + 0]
+            gifPalette[i * 3 + 1] = palette[i * 4 + 1]
+            gifPalette[i * 3 + 2] = palette[i * 4 + 2]
+        }
+
+        Object.keys(animations).forEach(name =>
+        {
+            let frames = animations[name].sort((a, b) => a.frame - b.frame)
+            if (frames.length < 2) return
+
+            console.log(`converting ${name} (${frames.length} frames)`)
+            try
+            {
+                let gifFrames = frames.map(texture =>
+                {
+                    if (!texture.pixels) texture.pixels = bitmapIndices(texture)
+                    return {width: texture.xsize, height: texture.ysize, indices: texture.pixels}
+                })
+                let gif = encodeGif(gifFrames, {palette: gifPalette, delay: 10, loop: 0})
+                fs.writeFileSync(`${converted_dir}/gifs/${name}.gif`, gif)
+            }
+            catch (e)
+            {
+                console.log(`  ${e.message}`)
+            }
+        })
+    }
+
+    // 3D models
+    if (output_models)
+    {
+        let loadTexture = (texture) => fs.readFileSync(`${converted_dir}/textures/${texture}.png`)
+
+        hog_files.filter(file => file.type == "pof" && selected(file.file_name)).forEach(file =>
+        {
+            console.log(`converting ${file.file_name}`)
+            let model = null
+            try
+            {
+                model = decodePof(file.data, palette)
+            }
+            catch (e)
+            {
+                fail(file, e)
+                return
+            }
+            model.unhandled.forEach(id =>
+            {
+                console.log(`  Unhandled: [${id}]`)
+            })
+
+            // Copy the texture files next to the OBJ, the materials of the ones
+            // that weren't converted are left untextured
+            let missing = []
+            Object.values(model.geometry.materials).filter(material => material.texture).forEach(material =>
+            {
+                try
+                {
+                    fs.copyFileSync(`${converted_dir}/textures/${material.texture}.png`, `${converted_dir}/models/${material.texture}.png`)
+                }
+                catch (e)
+                {
+                    if (!missing.includes(material.texture))
+                    {
+                        console.log(`  texture ${material.texture} not converted, left untextured`)
+                        missing.push(material.texture)
+                    }
+                    material.missing = true
+                }
+            })
+
+            if (model.geometry.worldPoints)
+            {
+                let {obj, mtl} = pofToObj(model, file.file_name)
+                fs.writeFileSync(`${converted_dir}/models/${file.file_name}.obj`, obj)
+                fs.writeFileSync(`${converted_dir}/models/${file.file_name}.mtl`, mtl)
+            }
+            fs.writeFileSync(`${converted_dir}/models/${file.file_name}.json`, JSON.stringify(model.json, null, 2))
+            fs.writeFileSync(`${converted_dir}/models/${file.file_name}.glb`, createGlb(model.json, model.geometry, loadTexture))
+        })
+    }
+
+    if (output_briefings)
+    {
+        hog_files.filter(file => file.type == "txb" && selected(file.file_name)).forEach(file =>
+        {
+            console.log(`converting ${file.file_name}`)
+            let text = decodeTxb(file.data)
+            fs.writeFileSync(`${converted_dir}/texts/${file.file_name}.txt`, text)
+
+            // Screens as JSON, assets linked to their converted file (relative to the converted directory)
+            let fromHog = (name) => hog_files.find(other => other.file_name.toLowerCase() == name.toLowerCase())
+            let screens = parseBriefing(text, (type, name) =>
+            {
+                if (type == "bitmap")
+                {
+                    let bbm = fromHog(`${name}.bbm`)
+                    return bbm ? `surfaces/${bbm.file_name}.png` : null
+                }
+                if (type == "robot")
+                {
+                    // $R is a robot type, its model is in the robot table of
+                    // the game data, which isn't read
+                    return null
+                }
+                let frames = textures.filter(texture => texture.name.toLowerCase() == name.toLowerCase())
+                if (frames.length > 1) return `gifs/${frames[0].name}.gif`
+                return frames.length ? `textures/${frames[0].name}_${frames[0].frame}.png` : null
+            }, game)
+            fs.writeFileSync(`${converted_dir}/texts/${file.file_name}.json`, JSON.stringify({file: file.file_name, screens: screens}, null, 2))
+        })
+    }
+
+    if (output_surfaces)
+    {
+        hog_files.filter(file => file.type == "bbm" && selected(file.file_name)).forEach(file =>
+        {
+            console.log(`converting ${file.file_name}`)
+            try
+            {
+                let bbm = decodeBbm(file.data)
+                let png = new PNG({width: bbm.width, height: bbm.height})
+                bbm.data.copy(png.data)
+                let buffer = PNG.sync.write(png)
+                fs.writeFileSync(`${converted_dir}/surfaces/${file.file_name}.png`, buffer)
+            }
+            catch (e)
+            {
+                fail(file, e)
+            }
+        })
+    }
+
+    if (output_font)
+    {
+        hog_files.filter(file => file.type == "fnt" && selected(file.file_name)).forEach(file =>
+        {
+            console.log(`converting ${file.file_name}`)
+            let font = null
+            try
+            {
+                font = decodeFont(file.data)
+            }
+            catch (e)
+            {
+                fail(file, e)
+                return
+            }
+
+            // Font definition file
+            fs.writeFileSync(`${converted_dir}/fonts/${file.file_name}.json`, JSON.stringify(font.fnt, null, 2))
+
+            // Font palette
+            if (font.palette)
+            {
+                let png = new PNG({width: 16, height: 16})
+                font.palette.copy(png.data)
+                fs.writeFileSync(`${converted_dir}/fonts/${file.file_name}.256.png`, PNG.sync.write(png))
+            }
+
+            // Font texture
+            let png = new PNG({width: font.width, height: font.height})
+            font.data.copy(png.data)
+            fs.writeFileSync(`${converted_dir}/fonts/${file.file_name}.png`, PNG.sync.write(png))
+
+            // BMFont descriptor of the texture
+            fs.writeFileSync(`${converted_dir}/fonts/${file.file_name}.fnt`, fontToBmfont(font, `${file.file_name}.png`))
+
+            // BDF bitmap font, color fonts thresholded
+            fs.writeFileSync(`${converted_dir}/fonts/${file.file_name}.bdf`, fontToBdf(font, path.basename(file.file_name, path.extname(file.file_name)), flags.fontThreshold))
+        })
+    }
+
+    if (output_sounds)
+    {
+        sounds.filter(file => selected(file.name)).forEach(file =>
+        {
+            console.log(`converting ${file.name}`)
+            try
+            {
+                fs.writeFileSync(`${converted_dir}/sounds/${file.name}.wav`, decodeSound(file, {rate: sound_rate, resample: flags.resample, normalize: flags.normalize}))
+            }
+            catch (e)
+            {
+                console.log(`  ${e.message}`)
+            }
+        })
+
+        // Raw sounds of the HOG, at the rate of the PIG sounds
+        hog_files.filter(file => file.type == "raw" && selected(file.file_name)).forEach(file =>
+        {
+            console.log(`converting ${file.file_name}`)
+            try
+            {
+                fs.writeFileSync(`${converted_dir}/sounds/${file.file_name}.wav`, decodeRawSound(file.data, {rate: sound_rate, resample: flags.resample, normalize: flags.normalize}))
+            }
+            catch (e)
+            {
+                fail(file, e)
+            }
+        })
+    }
+
+    if (output_music)
+    {
+        hog_files.filter(file => file.type == "hmp" && selected(file.file_name)).forEach(file =>
+        {
+            console.log(`converting ${file.file_name}`)
+            try
+            {
+                fs.writeFileSync(`${converted_dir}/music/${file.file_name}.mid`, decodeHmp(file.data))
+            }
+            catch (e)
+            {
+                fail(file, e)
+            }
+        })
+    }
+
+    // Levels
+    if (output_maps)
+    {
+        hog_files.filter(file => (file.type == "rdl" || file.type == "sdl") && selected(file.file_name)).forEach(file =>
+        {
+            console.log(`converting ${file.file_name}`)
+            let level = null
+            try
+            {
+                level = decodeLevel(file.data)
+            }
+            catch (e)
+            {
+                fail(file, e)
+                return
+            }
+
+            fs.writeFileSync(`${converted_dir}/maps/${file.file_name}.json`, JSON.stringify(level, null, 2))
+
+            let {obj, mtl} = levelToObj(level, file.file_name, {textures: textures, tmaps: tmaps})
+            fs.writeFileSync(`${converted_dir}/maps/${file.file_name}.obj`, obj)
+            fs.writeFileSync(`${converted_dir}/maps/${file.file_name}.mtl`, mtl)
+        })
+    }
+
+    // Summary of the entries that weren't converted: unknown types, failures
+    // and skipped categories, by type
+    let not_converted = {}
+    hog_files.filter(file => selected(file.file_name)).forEach(file =>
+    {
+        let category = TYPE_CATEGORIES[file.type]
+        let reason = !category ? "unknown type" :
+            failed.hasOwnProperty(file.file_name) ? failed[file.file_name] :
+            !enabled(category) ? `${category} not enabled` : null
+        if (reason)
+        {
+            not_converted[file.type] = (not_converted[file.type] || []).concat(`${file.file_name} (${reason})`)
+        }
+    })
+    // Game files next to the HOG (PIG, HAM, sounds) that couldn't be read
+    Object.keys(failed).filter(name => !hog_files.some(file => file.file_name == name)).forEach(name =>
+    {
+        let type = path.extname(name).substr(1).toLowerCase()
+        not_converted[type] = (not_converted[type] || []).concat(`${name} (${failed[name]})`)
+    })
+    if (Object.keys(not_converted).length > 0)
+    {
+        console.log("not converted:")
+        Object.keys(not_converted).sort().forEach(type =>
+        {
+            console.log(`  .${type} (${not_converted[type].length}): ${not_converted[type].join(", ")}`)
+        })
+    }
 }
 
-if (output_maps)
+if (require.main === module)
 {
+    main()
+}
+
+module.exports = {
+    readHog,
+    readPig,
+    readHam,
+    readSoundFile,
+    decodePalette,
+    decodeBitmap,
+    decodePof,
+    pofToObj,
+    createGlb,
+    decodeBbm,
+    decodeFont,
+    fontToBmfont,
+    fontToBdf,
+    decodeTxb,
+    parseBriefing,
+    D1_BRIEFING_SCREENS,
+    decodeSound,
+    decodeRawSound,
+    decodeHmp,
+    decodeLevel,
+    levelToObj
 }
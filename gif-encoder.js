@@ -0,0 +1,262 @@
+const fs = require('fs');
+const PNG = require('pngjs').PNG;
+
+const paletteImage = './converted/palettes/palette.256.png';
+const paletteRaw = './output/palette.256';
+
+const TRANSPARENT_INDEX = 255;
+const SUPER_TRANSPARENT_INDEX = 254;
+
+// Descent palette as 256 RGB triplets (8 bits per channel)
+function loadDescentPalette() {
+    const palette = Buffer.alloc(256 * 3);
+
+    if (fs.existsSync(paletteImage)) {
+        const png = PNG.sync.read(fs.readFileSync(paletteImage));
+        for (let i = 0; i < 256; i++) {
+            palette[i * 3 + 0] = png.data[i * 4 + 0];
+            palette[i * 3 + 1] = png.data[i * 4 + 1];
+            palette[i * 3 + 2] = png.data[i * 4 + 2];
+        }
+        return palette;
+    }
+
+    if (fs.existsSync(paletteRaw)) {
+        // Raw palette entries are 6 bits per channel
+        const data = fs.readFileSync(paletteRaw);
+        for (let i = 0; i < 256 * 3; i++) {
+            palette[i] = data[i] * 4;
+        }
+        return palette;
+    }
+
+    throw new Error(`Descent palette not found (${paletteImage} or ${paletteRaw}). Run the extractor first.`);
+}
+
+// Maps RGBA pixels back to palette indices. Textures come straight from the
+// palette so colors match exactly; anything else snaps to the closest entry.
+// Opaque pixels never get the reserved indices (by default the see-through
+// 254 and 255), fully transparent ones get 255, or 254 for its color.
+function rgbaToIndices(rgba, palette, reserved) {
+    reserved = reserved || [SUPER_TRANSPARENT_INDEX, TRANSPARENT_INDEX];
+    const lookup = new Map();
+    for (let i = 0; i < 256; i++) {
+        if (reserved.includes(i)) continue;
+        const key = (palette[i * 3] << 16) | (palette[i * 3 + 1] << 8) | palette[i * 3 + 2];
+        if (!lookup.has(key)) {
+            lookup.set(key, i);
+        }
+    }
+
+    const indices = new Uint8Array(rgba.length / 4);
+    for (let p = 0; p < indices.length; p++) {
+        const r = rgba[p * 4 + 0];
+        const g = rgba[p * 4 + 1];
+        const b = rgba[p * 4 + 2];
+
+        if (rgba[p * 4 + 3] === 0) {
+            const isSuper = palette[SUPER_TRANSPARENT_INDEX * 3] === r &&
+                palette[SUPER_TRANSPARENT_INDEX * 3 + 1] === g &&
+                palette[SUPER_TRANSPARENT_INDEX * 3 + 2] === b;
+            indices[p] = isSuper ? SUPER_TRANSPARENT_INDEX : TRANSPARENT_INDEX;
+            continue;
+        }
+
+        const key = (r << 16) | (g << 8) | b;
+        if (!lookup.has(key)) {
+            let best = 0;
+            let bestDist = Infinity;
+            for (let i = 0; i < 256; i++) {
+                if (reserved.includes(i)) continue;
+                const dr = palette[i * 3] - r;
+                const dg = palette[i * 3 + 1] - g;
+                const db = palette[i * 3 + 2] - b;
+                const dist = dr * dr + dg * dg + db * db;
+                if (dist < bestDist) {
+                    best = i;
+                    bestDist = dist;
+                }
+            }
+            lookup.set(key, best);
+        }
+        indices[p] = lookup.get(key);
+    }
+
+    return indices;
+}
+
+// Variable-length LZW as used by GIF image data
+function lzwEncode(indices, minCodeSize) {
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    const bytes = [];
+    let bitBuffer = 0;
+    let bitCount = 0;
+    let codeSize = minCodeSize + 1;
+    let nextCode = endCode + 1;
+    let dictionary = new Map();
+
+    const emit = (code) => {
+        bitBuffer |= code << bitCount;
+        bitCount += codeSize;
+        while (bitCount >= 8) {
+            bytes.push(bitBuffer & 0xFF);
+            bitBuffer >>>= 8;
+            bitCount -= 8;
+        }
+    };
+
+    emit(clearCode);
+
+    if (indices.length === 0) {
+        emit(endCode);
+        if (bitCount > 0) bytes.push(bitBuffer & 0xFF);
+        return Buffer.from(bytes);
+    }
+
+    let prefix = indices[0];
+    for (let i = 1; i < indices.length; i++) {
+        const k = indices[i];
+        const key = (prefix << 8) | k;
+        if (dictionary.has(key)) {
+            prefix = dictionary.get(key);
+            continue;
+        }
+
+        emit(prefix);
+
+        if (nextCode < 4096) {
+            dictionary.set(key, nextCode++);
+            // The decoder grows its code size one code later than we add it
+            if (nextCode > (1 << codeSize) && codeSize < 12) {
+                codeSize++;
+            }
+        } else {
+            // Table full, start over
+            emit(clearCode);
+            dictionary = new Map();
+            codeSize = minCodeSize + 1;
+            nextCode = endCode + 1;
+        }
+        prefix = k;
+    }
+
+    emit(prefix);
+    if (nextCode >= (1 << codeSize) && codeSize < 12) {
+        codeSize++;
+    }
+    emit(endCode);
+    if (bitCount > 0) bytes.push(bitBuffer & 0xFF);
+
+    return Buffer.from(bytes);
+}
+
+// Splits data into the length-prefixed sub-blocks GIF expects
+function toSubBlocks(data) {
+    const blocks = [];
+    for (let i = 0; i < data.length; i += 255) {
+        const chunk = data.subarray(i, Math.min(i + 255, data.length));
+        blocks.push(Buffer.from([chunk.length]), chunk);
+    }
+    blocks.push(Buffer.from([0]));
+    return Buffer.concat(blocks);
+}
+
+/**
+ * Encodes paletted frames into an animated GIF89a.
+ * frames: [{ width, height, indices, delay }] where indices holds one palette index
+ *         per pixel and delay (optional) overrides the one of the options
+ * options: { palette (768 bytes RGB), delay (1/100 s), loop (0 = forever),
+ *            transparentIndex (optional), disposal (GIF disposal method) }
+ */
+function encodeGif(frames, options) {
+    const palette = options.palette;
+    const delay = options.delay !== undefined ? options.delay : 10;
+    const loop = options.loop !== undefined ? options.loop : 0;
+    const transparentIndex = options.transparentIndex;
+    const hasTransparency = transparentIndex !== undefined && transparentIndex !== null;
+    const disposal = options.disposal !== undefined ? options.disposal : (hasTransparency ? 2 : 1);
+
+    const width = Math.max(...frames.map(frame => frame.width));
+    const height = Math.max(...frames.map(frame => frame.height));
+    const parts = [];
+
+    // Header and logical screen descriptor with a 256 entry global color table
+    parts.push(Buffer.from('GIF89a', 'ascii'));
+    const screen = Buffer.alloc(7);
+    screen.writeUInt16LE(width, 0);
+    screen.writeUInt16LE(height, 2);
+    screen[4] = 0xF7;
+    screen[5] = hasTransparency ? transparentIndex : 0;
+    screen[6] = 0;
+    parts.push(screen);
+
+    const colorTable = Buffer.alloc(256 * 3);
+    palette.copy(colorTable, 0, 0, Math.min(palette.length, colorTable.length));
+    parts.push(colorTable);
+
+    // NETSCAPE2.0 looping extension
+    if (frames.length > 1) {
+        const netscape = Buffer.alloc(19);
+        netscape[0] = 0x21;
+        netscape[1] = 0xFF;
+        netscape[2] = 11;
+        netscape.write('NETSCAPE2.0', 3, 'ascii');
+        netscape[14] = 3;
+        netscape[15] = 1;
+        netscape.writeUInt16LE(loop, 16);
+        netscape[18] = 0;
+        parts.push(netscape);
+    }
+
+    frames.forEach(frame => {
+        // Graphic control extension
+        const gce = Buffer.alloc(8);
+        gce[0] = 0x21;
+        gce[1] = 0xF9;
+        gce[2] = 4;
+        gce[3] = (disposal << 2) | (hasTransparency ? 1 : 0);
+        gce.writeUInt16LE(frame.delay !== undefined ? frame.delay : delay, 4);
+        gce[6] = hasTransparency ? transparentIndex : 0;
+        gce[7] = 0;
+        parts.push(gce);
+
+        // Image descriptor, no local color table
+        const descriptor = Buffer.alloc(10);
+        descriptor[0] = 0x2C;
+        descriptor.writeUInt16LE(0, 1);
+        descriptor.writeUInt16LE(0, 3);
+        descriptor.writeUInt16LE(frame.width, 5);
+        descriptor.writeUInt16LE(frame.height, 7);
+        descriptor[9] = 0;
+        parts.push(descriptor);
+
+        parts.push(Buffer.from([8]));
+        parts.push(toSubBlocks(lzwEncode(frame.indices, 8)));
+    });
+
+    parts.push(Buffer.from([0x3B]));
+    return Buffer.concat(parts);
+}
+
+// Reads PNG files and maps them onto the palette, ready for encodeGif()
+function framesFromPngs(paths, palette) {
+    return paths.map(file => {
+        const png = PNG.sync.read(fs.readFileSync(file));
+        return {
+            width: png.width,
+            height: png.height,
+            indices: rgbaToIndices(png.data, palette)
+        };
+    });
+}
+
+module.exports = {
+    TRANSPARENT_INDEX,
+    SUPER_TRANSPARENT_INDEX,
+    loadDescentPalette,
+    rgbaToIndices,
+    lzwEncode,
+    encodeGif,
+    framesFromPngs
+};
@@ -0,0 +1,167 @@
+const fs = require('fs');
+const path = require('path');
+const { readHog } = require('./extractor');
+
+const NAME_LENGTH = 13;
+
+// HOG names are DOS 8.3 names, stored in 13 bytes with a terminating zero
+function checkName(name) {
+    if (!/^[^.\0\/\\]{1,8}\.[^.\0\/\\]{1,3}$/.test(name)) {
+        throw new Error(`Invalid HOG entry name: ${name} (expected an 8.3 file name)`);
+    }
+}
+
+/**
+ * Builds a HOG archive.
+ * entries: [{ file_name, data }] in the order they are stored
+ */
+function writeHog(entries) {
+    const seen = new Set();
+    const parts = [Buffer.from('DHF', 'latin1')];
+
+    entries.forEach(entry => {
+        checkName(entry.file_name);
+        const key = entry.file_name.toLowerCase();
+        if (seen.has(key)) {
+            throw new Error(`Duplicate HOG entry: ${entry.file_name}`);
+        }
+        seen.add(key);
+
+        const header = Buffer.alloc(NAME_LENGTH + 4);
+        header.write(entry.file_name, 0, NAME_LENGTH - 1, 'latin1');
+        header.writeInt32LE(entry.data.length, NAME_LENGTH);
+        parts.push(header, entry.data);
+    });
+
+    return Buffer.concat(parts);
+}
+
+// Entries for every file of a directory. Without an order they are sorted by
+// name; with one (e.g. the entries of the original HOG) known names keep that
+// order and new ones follow.
+function packDirectory(dir, order) {
+    const files = fs.readdirSync(dir).filter(file => {
+        // Skip the placeholder the repo keeps in the output folders
+        return file !== 'README.md' && fs.statSync(path.join(dir, file)).isFile();
+    });
+
+    const rank = {};
+    (order || []).forEach((name, i) => {
+        rank[name.toLowerCase()] = i;
+    });
+    files.sort((a, b) => {
+        const ra = rank.hasOwnProperty(a.toLowerCase()) ? rank[a.toLowerCase()] : Infinity;
+        const rb = rank.hasOwnProperty(b.toLowerCase()) ? rank[b.toLowerCase()] : Infinity;
+        if (ra !== rb) {
+            return ra - rb;
+        }
+        return a.localeCompare(b);
+    });
+
+    return files.map(file => ({
+        file_name: file,
+        data: fs.readFileSync(path.join(dir, file))
+    }));
+}
+
+/**
+ * Changes entries of an existing HOG, keeping their order.
+ * changes: { replace: { name: Buffer }, add: { name: Buffer }, remove: [name] }
+ * Replaced entries stay in place, added ones are appended. Names are matched
+ * case insensitively like DOS does.
+ */
+function updateHog(buffer, changes) {
+    const replace = changes.replace || {};
+    const add = changes.add || {};
+    const remove = (changes.remove || []).map(name => name.toLowerCase());
+
+    let entries = readHog(buffer).map(file => ({ file_name: file.file_name, data: file.data }));
+    const find = (name) => entries.findIndex(entry => entry.file_name.toLowerCase() === name.toLowerCase());
+
+    Object.keys(replace).forEach(name => {
+        const i = find(name);
+        if (i < 0) {
+            throw new Error(`Cannot replace ${name}: not in the HOG`);
+        }
+        entries[i] = { file_name: entries[i].file_name, data: replace[name] };
+    });
+
+    remove.forEach(name => {
+        if (find(name) < 0) {
+            throw new Error(`Cannot delete ${name}: not in the HOG`);
+        }
+    });
+    entries = entries.filter(entry => !remove.includes(entry.file_name.toLowerCase()));
+
+    Object.keys(add).forEach(name => {
+        if (find(name) >= 0) {
+            throw new Error(`Cannot add ${name}: already in the HOG, use replace`);
+        }
+        entries.push({ file_name: name, data: add[name] });
+    });
+
+    return writeHog(entries);
+}
+
+function usage() {
+    console.log('Usage:');
+    console.log('  node hog-writer.js pack <directory> <output.hog> [--order original.hog]');
+    console.log('  node hog-writer.js update <input.hog> <output.hog> [--replace file]... [--add file]... [--delete name]...');
+}
+
+function main() {
+    const argv = process.argv.slice(2);
+    const command = argv[0];
+    const positional = [];
+    const options = { order: null, replace: [], add: [], delete: [] };
+
+    for (let i = 1; i < argv.length; i++) {
+        const match = argv[i].match(/^--(order|replace|add|delete)(?:=(.*))?$/);
+        if (match) {
+            const value = match[2] !== undefined ? match[2] : argv[++i];
+            if (value === undefined) {
+                throw new Error(`Missing value for --${match[1]}`);
+            }
+            if (match[1] === 'order') {
+                options.order = value;
+            } else {
+                options[match[1]].push(value);
+            }
+        } else {
+            positional.push(argv[i]);
+        }
+    }
+
+    if (command === 'pack' && positional.length === 2) {
+        const [dir, output] = positional;
+        const order = options.order ? readHog(fs.readFileSync(options.order)).map(file => file.file_name) : null;
+        const entries = packDirectory(dir, order);
+        fs.writeFileSync(output, writeHog(entries));
+        console.log(`✓ Packed ${entries.length} files into ${output}`);
+    } else if (command === 'update' && positional.length === 2) {
+        const [input, output] = positional;
+        const changes = { replace: {}, add: {}, remove: options.delete };
+        options.replace.forEach(file => {
+            changes.replace[path.basename(file)] = fs.readFileSync(file);
+        });
+        options.add.forEach(file => {
+            changes.add[path.basename(file)] = fs.readFileSync(file);
+        });
+        fs.writeFileSync(output, updateHog(fs.readFileSync(input), changes));
+        console.log(`✓ Wrote ${output} (${options.replace.length} replaced, ${options.add.length} added, ${options.delete.length} deleted)`);
+    } else {
+        usage();
+        process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    try {
+        main();
+    } catch (error) {
+        console.error(`✗ ${error.message}`);
+        process.exit(1);
+    }
+}
+
+module.exports = { writeHog, packDirectory, updateHog };
@@ -0,0 +1,438 @@
+const fs = require('fs');
+const path = require('path');
+const { readHog, decodeHmp } = require('./extractor');
+const { OPL_RATE, createOpl } = require('./opl-emulator');
+
+const hogFile = './input/DESCENT.HOG';
+const outputDir = './converted/music';
+
+const SAMPLE_RATE = OPL_RATE;
+
+// OPL channels of each chip: the OPL3 has twice the channels of the OPL2
+const OPL_CHANNELS = { opl2: 9, opl3: 18 };
+
+const DRUM_CHANNEL = 9;
+const PITCH_BEND_RANGE = 2;
+const RELEASE_TAIL = 5;
+
+
+// Used for programs the banks don't have, or without banks at all
+const DEFAULT_INSTRUMENT = {
+    name: 'default',
+    modulator: operator({ mult: 1, attack: 15, decay: 4, sustain: 4, release: 6, level: 30, feedback: 3, fm: true, sustaining: true }),
+    carrier: operator({ mult: 1, attack: 14, decay: 3, sustain: 3, release: 6, level: 0, sustaining: true })
+};
+const DEFAULT_DRUM = {
+    name: 'drum',
+    modulator: operator({ mult: 15, attack: 15, decay: 6, sustain: 15, release: 8, level: 0, feedback: 7, fm: true }),
+    carrier: operator({ mult: 1, attack: 15, decay: 7, sustain: 15, release: 8, level: 0 })
+};
+
+function operator(values) {
+    return Object.assign({
+        ksl: 0, mult: 1, feedback: 0, attack: 15, sustain: 0, sustaining: false, decay: 0, release: 0,
+        level: 0, tremolo: false, vibrato: false, ksr: false, fm: false, wave: 0
+    }, values);
+}
+
+// One operator of a BNK instrument: the register fields one byte each
+function readOperator(buffer, offset, wave) {
+    return operator({
+        ksl: buffer[offset],
+        mult: buffer[offset + 1] & 0x0F,
+        feedback: buffer[offset + 2] & 0x07,
+        attack: buffer[offset + 3] & 0x0F,
+        sustain: buffer[offset + 4] & 0x0F,
+        sustaining: buffer[offset + 5] !== 0,
+        decay: buffer[offset + 6] & 0x0F,
+        release: buffer[offset + 7] & 0x0F,
+        level: buffer[offset + 8] & 0x3F,
+        tremolo: buffer[offset + 9] !== 0,
+        vibrato: buffer[offset + 10] !== 0,
+        ksr: buffer[offset + 11] !== 0,
+        fm: buffer[offset + 12] !== 0,
+        wave: wave
+    });
+}
+
+/**
+ * AdLib instrument bank (.bnk): a name table pointing into 30 byte instrument
+ * records (percussive flag, voice, modulator, carrier, the two wave selects).
+ * Returns the instruments in record order, which is the program number.
+ */
+function readBnk(buffer) {
+    if (buffer.toString('latin1', 2, 8) !== 'ADLIB-') {
+        throw new Error('BNK file not ADLIB-');
+    }
+    const count = buffer.readUInt16LE(10);
+    const namesOffset = buffer.readUInt32LE(12);
+    const dataOffset = buffer.readUInt32LE(16);
+
+    const instruments = [];
+    for (let i = 0; i < count; i++) {
+        const entry = namesOffset + i * 12;
+        const index = buffer.readUInt16LE(entry);
+        const name = buffer.toString('latin1', entry + 3, entry + 12).split('\0')[0];
+        const record = dataOffset + index * 30;
+        if (record + 30 > buffer.length) {
+            throw new Error(`BNK instrument ${name} is truncated`);
+        }
+        instruments[index] = {
+            name: name,
+            percussive: buffer[record] !== 0,
+            modulator: readOperator(buffer, record + 2, buffer[record + 28]),
+            carrier: readOperator(buffer, record + 15, buffer[record + 29])
+        };
+    }
+    return instruments;
+}
+
+// Drum bank instruments are looked up by the note number ending their name,
+// then by their position
+function drumInstrument(drums, note) {
+    const named = drums.find(instrument => instrument && parseInt((instrument.name.match(/(\d+)$/) || [])[1], 10) === note);
+    return named || drums[note] || DEFAULT_DRUM;
+}
+
+/**
+ * Standard MIDI File as a list of { time (seconds), data } events, all tracks
+ * merged, with the tempo changes applied.
+ */
+function readMidi(buffer) {
+    if (buffer.toString('latin1', 0, 4) !== 'MThd') {
+        throw new Error('MIDI file not MThd');
+    }
+    const trackCount = buffer.readUInt16BE(10);
+    const division = buffer.readUInt16BE(12);
+    if (division & 0x8000) {
+        throw new Error('SMPTE time division is not supported');
+    }
+
+    const events = [];
+    let offset = 8 + buffer.readUInt32BE(4);
+    for (let t = 0; t < trackCount && offset + 8 <= buffer.length; t++) {
+        const length = buffer.readUInt32BE(offset + 4);
+        const end = Math.min(offset + 8 + length, buffer.length);
+        let at = offset + 8;
+        let tick = 0;
+        let status = 0;
+
+        const readVarLen = () => {
+            let value = 0;
+            let byte = 0;
+            do {
+                byte = buffer[at++];
+                value = (value << 7) | (byte & 0x7F);
+            } while ((byte & 0x80) && at < end);
+            return value;
+        };
+
+        while (at < end) {
+            tick += readVarLen();
+            if (buffer[at] & 0x80) {
+                status = buffer[at++];
+            }
+            if (status === 0xFF) {
+                const type = buffer[at++];
+                const size = readVarLen();
+                if (type === 0x51) {
+                    events.push({ tick: tick, order: events.length, tempo: buffer.readUIntBE(at, 3) });
+                }
+                at += size;
+                status = 0;
+            } else if (status === 0xF0 || status === 0xF7) {
+                at += readVarLen();
+                status = 0;
+            } else {
+                const size = (status & 0xE0) === 0xC0 ? 1 : 2;
+                events.push({ tick: tick, order: events.length, data: [status, ...buffer.subarray(at, at + size)] });
+                at += size;
+            }
+        }
+        offset = end;
+    }
+
+    // Ticks to seconds, 120 bpm until the first tempo event
+    events.sort((a, b) => a.tick - b.tick || a.order - b.order);
+    let tempo = 500000;
+    let lastTick = 0;
+    let time = 0;
+    return events.filter(event => {
+        time += (event.tick - lastTick) * tempo / division / 1000000;
+        lastTick = event.tick;
+        event.time = time;
+        if (event.tempo) {
+            tempo = event.tempo;
+            return false;
+        }
+        return true;
+    });
+}
+
+// OPL block and F-number of a frequency, with the smallest block that fits
+function blockFnum(frequency) {
+    for (let block = 0; block < 8; block++) {
+        const fnum = Math.round(frequency * Math.pow(2, 20 - block) / OPL_RATE);
+        if (fnum < 1024) {
+            return { block: block, fnum: fnum };
+        }
+    }
+    return { block: 7, fnum: 1023 };
+}
+
+// Register offset of a channel's modulator (the carrier is 3 further), the
+// OPL3 channels 9-17 are in the second register set
+function operatorOffset(channel) {
+    const c = channel % 9;
+    return (channel >= 9 ? 0x100 : 0) + Math.floor(c / 3) * 8 + c % 3;
+}
+
+function channelRegister(base, channel) {
+    return (channel >= 9 ? 0x100 : 0) + base + channel % 9;
+}
+
+// Writes an instrument operator, at total level `level`
+function writeOperator(opl, offset, op, level) {
+    opl.write(0x20 + offset, (op.tremolo ? 0x80 : 0) | (op.vibrato ? 0x40 : 0) | (op.sustaining ? 0x20 : 0) | (op.ksr ? 0x10 : 0) | op.mult);
+    opl.write(0x40 + offset, ((op.ksl & 3) << 6) | level);
+    opl.write(0x60 + offset, (op.attack << 4) | op.decay);
+    opl.write(0x80 + offset, (op.sustain << 4) | op.release);
+    opl.write(0xE0 + offset, op.wave & 7);
+}
+
+// Volume scales the total level of the operators that are heard, like the
+// AdLib driver does: the carrier, and the modulator too when they are added
+function writeInstrument(opl, channel, instrument, gain, opl3) {
+    const offset = operatorOffset(channel);
+    const { modulator, carrier } = instrument;
+    const scaled = (op) => 63 - Math.round((63 - op.level) * gain);
+    writeOperator(opl, offset, modulator, modulator.fm ? modulator.level : scaled(modulator));
+    writeOperator(opl, offset + 3, carrier, scaled(carrier));
+    // The BNK connection byte is set for FM, the register bit for additive.
+    // OPL3 channels also need their outputs enabled.
+    opl.write(channelRegister(0xC0, channel), (modulator.feedback << 1) | (modulator.fm ? 0 : 1) | (opl3 ? 0x30 : 0));
+}
+
+function writeFrequency(opl, channel, frequency, keyOn) {
+    const { block, fnum } = blockFnum(frequency);
+    opl.write(channelRegister(0xA0, channel), fnum & 0xFF);
+    opl.write(channelRegister(0xB0, channel), (keyOn ? 0x20 : 0) | (block << 2) | (fnum >> 8));
+}
+
+/**
+ * Renders a MIDI file on an emulated OPL chip, mono float samples at the chip
+ * rate (49716 Hz). The notes are played the way an AdLib driver does: each
+ * note takes a chip channel, gets the instrument's registers and its F-number
+ * and block with the key on bit. banks: { melodic: [instrument], drums: [instrument] }
+ * from readBnk, chip: 'opl2' (9 channels, 4 waveforms) or 'opl3' (18 channels, 8 waveforms).
+ */
+function renderMidi(buffer, banks, chip) {
+    chip = chip || 'opl2';
+    if (!OPL_CHANNELS[chip]) {
+        throw new Error(`Unsupported chip ${chip}, expected opl2 or opl3`);
+    }
+    const opl3 = chip === 'opl3';
+    const opl = createOpl(opl3);
+    // Waveform select on, and the OPL3 mode for its extra channels and waveforms
+    opl.write(0x01, 0x20);
+    if (opl3) {
+        opl.write(0x105, 0x01);
+    }
+
+    const melodic = (banks && banks.melodic) || [];
+    const drums = (banks && banks.drums) || [];
+    const events = readMidi(buffer);
+    const voices = [];
+    for (let i = 0; i < OPL_CHANNELS[chip]; i++) {
+        voices.push({ index: i, note: -1, channel: -1, keyed: false, start: 0, stop: -1, frequency: 0 });
+    }
+
+    const channels = [];
+    for (let i = 0; i < 16; i++) {
+        channels.push({ program: 0, volume: 100, expression: 127, bend: 0 });
+    }
+    const frequency = (note, bend) => 440 * Math.pow(2, (note - 69 + bend) / 12);
+
+    const duration = (events.length ? events[events.length - 1].time : 0) + RELEASE_TAIL;
+    const samples = new Float32Array(Math.ceil(duration * SAMPLE_RATE));
+    let position = 0;
+
+    const render = (until) => {
+        until = Math.min(until, samples.length);
+        if (until > position) {
+            opl.generate(samples, position, until);
+            position = until;
+        }
+    };
+
+    const keyOff = (voice) => {
+        voice.note = -1;
+        voice.keyed = false;
+        voice.stop = position;
+        writeFrequency(opl, voice.index, voice.frequency, false);
+    };
+
+    events.forEach(event => {
+        render(Math.round(event.time * SAMPLE_RATE));
+        const [status, data1, data2] = event.data;
+        const channel = channels[status & 0x0F];
+        const number = status & 0x0F;
+
+        switch (status & 0xF0) {
+            case 0x90:
+                if (data2 > 0) {
+                    // The channel released the longest ago, else the oldest note
+                    const released = voices.filter(voice => !voice.keyed).sort((a, b) => a.stop - b.stop);
+                    const voice = released[0] || voices.slice().sort((a, b) => a.start - b.start)[0];
+                    if (voice.keyed) {
+                        // The envelope only restarts on a key on after a key off
+                        keyOff(voice);
+                        render(position + 1);
+                    }
+                    const instrument = number === DRUM_CHANNEL ? drumInstrument(drums, data1) : (melodic[channel.program] || DEFAULT_INSTRUMENT);
+                    const gain = (data2 / 127) * (channel.volume / 127) * (channel.expression / 127);
+                    voice.channel = number;
+                    voice.note = data1;
+                    voice.keyed = true;
+                    voice.start = position;
+                    voice.frequency = frequency(data1, channel.bend);
+                    writeInstrument(opl, voice.index, instrument, gain, opl3);
+                    writeFrequency(opl, voice.index, voice.frequency, true);
+                    break;
+                }
+                // Note on with velocity 0 is a note off
+            case 0x80:
+                voices.filter(voice => voice.channel === number && voice.note === data1).forEach(keyOff);
+                break;
+            case 0xB0:
+                if (data1 === 7) {
+                    channel.volume = data2;
+                } else if (data1 === 11) {
+                    channel.expression = data2;
+                } else if (data1 === 120 || data1 === 123) {
+                    voices.filter(voice => voice.channel === number && voice.keyed).forEach(keyOff);
+                }
+                break;
+            case 0xC0:
+                channel.program = data1;
+                break;
+            case 0xE0:
+                channel.bend = (((data2 << 7) | data1) - 8192) / 8192 * PITCH_BEND_RANGE;
+                voices.filter(voice => voice.channel === number && voice.keyed).forEach(voice => {
+                    voice.frequency = frequency(voice.note, channel.bend);
+                    writeFrequency(opl, voice.index, voice.frequency, true);
+                });
+                break;
+        }
+    });
+
+    // Let the last notes ring out, then cut the silence
+    voices.filter(voice => voice.keyed).forEach(keyOff);
+    while (position < samples.length && !opl.quiet()) {
+        render(position + Math.round(SAMPLE_RATE / 10));
+    }
+    return samples.subarray(0, position);
+}
+
+
+// 16 bit mono WAV, normalized to just below full scale
+function wavFromSamples(samples) {
+    let peak = 0;
+    for (let i = 0; i < samples.length; i++) {
+        peak = Math.max(peak, Math.abs(samples[i]));
+    }
+    const scale = peak > 0 ? 0.9 / peak : 0;
+
+    const wav = Buffer.alloc(44 + samples.length * 2);
+    wav.write('RIFF', 0, 'latin1');
+    wav.writeUInt32LE(36 + samples.length * 2, 4);
+    wav.write('WAVEfmt ', 8, 'latin1');
+    wav.writeUInt32LE(16, 16);
+    wav.writeUInt16LE(1, 20);
+    wav.writeUInt16LE(1, 22);
+    wav.writeUInt32LE(SAMPLE_RATE, 24);
+    wav.writeUInt32LE(SAMPLE_RATE * 2, 28);
+    wav.writeUInt16LE(2, 32);
+    wav.writeUInt16LE(16, 34);
+    wav.write('data', 36, 'latin1');
+    wav.writeUInt32LE(samples.length * 2, 40);
+    for (let i = 0; i < samples.length; i++) {
+        wav.writeInt16LE(Math.round(samples[i] * scale * 32767), 44 + i * 2);
+    }
+    return wav;
+}
+
+function main() {
+    const argv = process.argv.slice(2);
+    const files = [];
+    const options = { hog: hogFile, output: outputDir, chip: 'opl2', melodic: null, drums: null };
+    for (let i = 0; i < argv.length; i++) {
+        const match = argv[i].match(/^--(hog|output|melodic|drums)(?:=(.*))?$/);
+        if (argv[i] === '--opl2' || argv[i] === '--opl3') {
+            options.chip = argv[i].slice(2);
+        } else if (match) {
+            options[match[1]] = match[2] !== undefined ? match[2] : argv[++i];
+        } else {
+            files.push(argv[i]);
+        }
+    }
+
+    console.log('Descent Music Renderer');
+    console.log('======================');
+
+    const hog = fs.existsSync(options.hog) ? readHog(fs.readFileSync(options.hog)) : [];
+    const fromHog = (name) => {
+        const file = hog.find(entry => entry.file_name.toLowerCase() === name);
+        return file ? file.data : null;
+    };
+
+    // Instrument banks from the options or the HOG, the built-in instrument otherwise
+    const loadBank = (file, name) => {
+        const data = file ? fs.readFileSync(file) : fromHog(name);
+        if (!data) {
+            console.log(`No ${file || name}, using the built-in instrument`);
+            return [];
+        }
+        return readBnk(data);
+    };
+    const banks = { melodic: loadBank(options.melodic, 'melodic.bnk'), drums: loadBank(options.drums, 'drum.bnk') };
+
+    // Files given on the command line, every HMP of the HOG otherwise
+    const songs = files.length > 0 ?
+        files.map(file => ({ name: path.basename(file), data: fs.readFileSync(file) })) :
+        hog.filter(entry => /\.hmp$/i.test(entry.file_name)).map(entry => ({ name: entry.file_name, data: entry.data }));
+    if (songs.length === 0) {
+        console.log(`No music found, give .hmp or .mid files or a HOG with --hog (${options.hog})`);
+        process.exit(1);
+    }
+
+    if (!fs.existsSync(options.output)) {
+        fs.mkdirSync(options.output, { recursive: true });
+    }
+
+    let successCount = 0;
+    songs.forEach(song => {
+        try {
+            const midi = /\.hmp$/i.test(song.name) ? decodeHmp(song.data) : song.data;
+            const samples = renderMidi(midi, banks, options.chip);
+            fs.writeFileSync(path.join(options.output, `${song.name}.wav`), wavFromSamples(samples));
+            console.log(`✓ ${song.name} (${(samples.length / SAMPLE_RATE).toFixed(1)}s)`);
+            successCount++;
+        } catch (error) {
+            console.error(`✗ Failed to render ${song.name}:`, error.message);
+        }
+    });
+
+    console.log(`\nDone! Rendered ${successCount} of ${songs.length} songs to ${options.output}`);
+}
+
+if (require.main === module) {
+    try {
+        main();
+    } catch (error) {
+        console.error(`✗ ${error.message}`);
+        process.exit(1);
+    }
+}
+
+module.exports = { readBnk, readMidi, renderMidi, wavFromSamples };
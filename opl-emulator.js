@@ -0,0 +1,411 @@
+/**
+ * Register level emulation of the Yamaha YM3812 (OPL2) and YMF262 (OPL3) FM
+ * chips, sample for sample at the chip's own rate. Operators work like the
+ * hardware: a 19 bit phase accumulator, the log-sine and exponent ROMs, the
+ * 9 bit envelope generator with its rate and key scaling, total level, KSL,
+ * tremolo and vibrato, feedback and the FM/additive connection.
+ * The rhythm mode, the OPL3 4-operator channels and the timers are not emulated.
+ */
+
+// 14.31818 MHz / 288, one sample per chip cycle
+const OPL_RATE = 49716;
+
+const ATTACK = 0;
+const DECAY = 1;
+const SUSTAIN = 2;
+const RELEASE = 3;
+
+// Quarter of a sine wave as attenuation (-log2, 4.8 fixed point) and the
+// exponent table turning attenuations back into levels, like the chip's ROMs
+const LOG_SIN = new Uint16Array(256);
+const EXP = new Uint16Array(256);
+for (let i = 0; i < 256; i++) {
+    LOG_SIN[i] = Math.round(-Math.log2(Math.sin((i + 0.5) * Math.PI / 512)) * 256);
+    EXP[i] = Math.round(Math.pow(2, (255 - i) / 256) * 1024);
+}
+
+// Frequency multiplier (times 2) of each MULT value
+const MULTIPLIERS = [1, 2, 4, 6, 8, 10, 12, 14, 16, 18, 20, 20, 24, 24, 30, 30];
+
+// Key scale level by the top 4 F-number bits and the shift of each KSL
+// setting: off, 3, 1.5 and 6 dB per octave
+const KSL_ROM = [0, 32, 40, 45, 48, 51, 53, 55, 56, 58, 59, 60, 61, 62, 63, 64];
+const KSL_SHIFT = [8, 1, 2, 0];
+
+// Envelope steps of the fast rates (12 and above), by the low rate bits and timer
+const ENVELOPE_STEPS = [[0, 0, 0, 0], [1, 0, 0, 0], [1, 0, 1, 0], [1, 1, 1, 0]];
+
+// Operator of each register offset (0x20-0x35 and the like), -1 for the gaps
+const SLOT_OF_OFFSET = [0, 1, 2, 3, 4, 5, -1, -1, 6, 7, 8, 9, 10, 11, -1, -1, 12, 13, 14, 15, 16, 17, -1, -1, -1, -1, -1, -1, -1, -1, -1, -1];
+
+// Level of an attenuation (4.8 fixed point), 13 bits at most
+function attenuationToLevel(attenuation) {
+    if (attenuation > 0x1FFF) {
+        attenuation = 0x1FFF;
+    }
+    return (EXP[attenuation & 0xFF] << 1) >> (attenuation >> 8);
+}
+
+// Output of a waveform at a 10 bit phase with a 9 bit envelope attenuation.
+// Waveforms 0-3 are the OPL2 ones, 4-7 only exist on the OPL3.
+function waveOutput(wave, phase, envelope) {
+    phase &= 0x3FF;
+    let attenuation = 0;
+    let negative = false;
+    switch (wave) {
+        case 0:
+            negative = (phase & 0x200) !== 0;
+            attenuation = (phase & 0x100) ? LOG_SIN[(phase & 0xFF) ^ 0xFF] : LOG_SIN[phase & 0xFF];
+            break;
+        case 1:
+            attenuation = (phase & 0x200) ? 0x1000 : (phase & 0x100) ? LOG_SIN[(phase & 0xFF) ^ 0xFF] : LOG_SIN[phase & 0xFF];
+            break;
+        case 2:
+            attenuation = (phase & 0x100) ? LOG_SIN[(phase & 0xFF) ^ 0xFF] : LOG_SIN[phase & 0xFF];
+            break;
+        case 3:
+            attenuation = (phase & 0x100) ? 0x1000 : LOG_SIN[phase & 0xFF];
+            break;
+        case 4:
+            if (phase & 0x200) {
+                attenuation = 0x1000;
+            } else {
+                negative = (phase & 0x100) !== 0;
+                attenuation = (phase & 0x80) ? LOG_SIN[((phase ^ 0xFF) << 1) & 0xFF] : LOG_SIN[(phase << 1) & 0xFF];
+            }
+            break;
+        case 5:
+            if (phase & 0x200) {
+                attenuation = 0x1000;
+            } else {
+                attenuation = (phase & 0x80) ? LOG_SIN[((phase ^ 0xFF) << 1) & 0xFF] : LOG_SIN[(phase << 1) & 0xFF];
+            }
+            break;
+        case 6:
+            negative = (phase & 0x200) !== 0;
+            break;
+        case 7:
+            if (phase & 0x200) {
+                negative = true;
+                phase = (phase & 0x1FF) ^ 0x1FF;
+            }
+            attenuation = phase << 3;
+            break;
+    }
+    const level = attenuationToLevel(attenuation + (envelope << 3));
+    return negative ? ~level : level;
+}
+
+function createSlot(channel) {
+    return {
+        channel: channel,
+        tremolo: false, vibrato: false, sustaining: false, ksr: false, mult: 0,
+        ksl: 0, level: 0, attack: 0, decay: 0, sustain: 0, release: 0, wave: 0,
+        key: false, envelope: 0x1FF, stage: RELEASE, envelopeOut: 0x1FF, kslAttenuation: 0,
+        phase: 0, phaseOut: 0, reset: false, out: 0, previous: 0, feedback: 0
+    };
+}
+
+/**
+ * A chip: write(register, value) like the I/O ports (registers 0x100-0x1FF are
+ * the second OPL3 register set), generate(samples, from, to) adds the mono
+ * output, -1 to 1, to samples[from] up to samples[to - 1]. opl3 selects the
+ * YMF262, which starts in its OPL2 mode until register 0x105 enables it.
+ */
+function createOpl(opl3) {
+    const channelCount = opl3 ? 18 : 9;
+    const channels = [];
+    const slots = [];
+    for (let c = 0; c < channelCount; c++) {
+        channels.push({ fnum: 0, block: 0, ksv: 0, feedback: 0, additive: false, output: 0, slots: [] });
+    }
+    // Operators in register order: 0-2 the modulators of channels 0-2, 3-5
+    // their carriers, and so on, the second register set after the first
+    for (let s = 0; s < channelCount * 2; s++) {
+        const bank = Math.floor(s / 18);
+        const index = s % 18;
+        const channel = channels[bank * 9 + Math.floor(index / 6) * 3 + index % 3];
+        const slot = createSlot(channel);
+        slots.push(slot);
+        channel.slots[(index % 6) < 3 ? 0 : 1] = slot;
+    }
+
+    const chip = {
+        newMode: false, waveSelect: false, noteSelect: 0, tremoloShift: 4, vibratoShift: 1,
+        timer: 0, tremoloPosition: 0, tremolo: 0, vibratoPosition: 0,
+        envelopeTimer: 0, envelopeState: 0, envelopeAdd: 0, envelopeTimerLow: 0
+    };
+
+    const updateKeyScale = (channel) => {
+        channel.ksv = (channel.block << 1) | ((channel.fnum >> (9 - chip.noteSelect)) & 1);
+        const ksl = (KSL_ROM[channel.fnum >> 6] << 2) - ((8 - channel.block) << 5);
+        channel.slots.forEach(slot => {
+            slot.kslAttenuation = Math.max(0, ksl);
+        });
+    };
+
+    const write = (register, value) => {
+        const bank = (opl3 && (register & 0x100)) ? 1 : 0;
+        const low = register & 0xFF;
+        value &= 0xFF;
+
+        if (bank === 1 && low === 0x05) {
+            chip.newMode = (value & 1) !== 0;
+            return;
+        }
+        if (bank === 0 && low === 0x01) {
+            chip.waveSelect = (value & 0x20) !== 0;
+            return;
+        }
+        if (bank === 0 && low === 0x08) {
+            chip.noteSelect = (value >> 6) & 1;
+            channels.forEach(updateKeyScale);
+            return;
+        }
+        if (bank === 0 && low === 0xBD) {
+            chip.tremoloShift = (value & 0x80) ? 2 : 4;
+            chip.vibratoShift = (value & 0x40) ? 0 : 1;
+            return;
+        }
+
+        const group = low & 0xE0;
+        if (group === 0x20 || group === 0x40 || group === 0x60 || group === 0x80 || group === 0xE0) {
+            const index = SLOT_OF_OFFSET[low & 0x1F];
+            if (index < 0) {
+                return;
+            }
+            const slot = slots[bank * 18 + index];
+            switch (group) {
+                case 0x20:
+                    slot.tremolo = (value & 0x80) !== 0;
+                    slot.vibrato = (value & 0x40) !== 0;
+                    slot.sustaining = (value & 0x20) !== 0;
+                    slot.ksr = (value & 0x10) !== 0;
+                    slot.mult = value & 0x0F;
+                    break;
+                case 0x40:
+                    slot.ksl = value >> 6;
+                    slot.level = value & 0x3F;
+                    break;
+                case 0x60:
+                    slot.attack = value >> 4;
+                    slot.decay = value & 0x0F;
+                    break;
+                case 0x80:
+                    slot.sustain = (value >> 4) === 0x0F ? 0x1F : value >> 4;
+                    slot.release = value & 0x0F;
+                    break;
+                case 0xE0:
+                    slot.wave = value & 0x07;
+                    break;
+            }
+            return;
+        }
+
+        if (low >= 0xA0 && low <= 0xC8 && (low & 0x0F) < 9) {
+            const channel = channels[bank * 9 + (low & 0x0F)];
+            switch (low & 0xF0) {
+                case 0xA0:
+                    channel.fnum = (channel.fnum & 0x300) | value;
+                    updateKeyScale(channel);
+                    break;
+                case 0xB0:
+                    channel.fnum = (channel.fnum & 0xFF) | ((value & 0x03) << 8);
+                    channel.block = (value >> 2) & 0x07;
+                    updateKeyScale(channel);
+                    channel.slots.forEach(slot => {
+                        slot.key = (value & 0x20) !== 0;
+                    });
+                    break;
+                case 0xC0:
+                    channel.feedback = (value >> 1) & 0x07;
+                    channel.additive = (value & 1) !== 0;
+                    channel.output = value & 0x30;
+                    break;
+            }
+        }
+    };
+
+    // Waveform an operator plays: the OPL2 has 4 of them once enabled by
+    // register 0x01, the OPL3 all 8 in its own mode
+    const slotWave = (slot) => {
+        if (chip.newMode) {
+            return slot.wave;
+        }
+        return (opl3 || chip.waveSelect) ? slot.wave & 3 : 0;
+    };
+
+    const envelope = (slot) => {
+        slot.envelopeOut = Math.min(0x1FF, slot.envelope + (slot.level << 2) + (slot.kslAttenuation >> KSL_SHIFT[slot.ksl]) + (slot.tremolo ? chip.tremolo : 0));
+
+        let reset = false;
+        let rate = 0;
+        if (slot.key && slot.stage === RELEASE) {
+            reset = true;
+            rate = slot.attack;
+        } else if (slot.stage === ATTACK) {
+            rate = slot.attack;
+        } else if (slot.stage === DECAY) {
+            rate = slot.decay;
+        } else if (slot.stage === SUSTAIN) {
+            rate = slot.sustaining ? 0 : slot.release;
+        } else {
+            rate = slot.release;
+        }
+        slot.reset = reset;
+
+        const keyScale = slot.channel.ksv >> (slot.ksr ? 0 : 2);
+        const effective = keyScale + (rate << 2);
+        let rateHigh = effective >> 2;
+        const rateLow = effective & 3;
+        if (rateHigh & 0x10) {
+            rateHigh = 0x0F;
+        }
+
+        let shift = 0;
+        if (rate !== 0) {
+            if (rateHigh < 12) {
+                if (chip.envelopeState) {
+                    switch (rateHigh + chip.envelopeAdd) {
+                        case 12: shift = 1; break;
+                        case 13: shift = (rateLow >> 1) & 1; break;
+                        case 14: shift = rateLow & 1; break;
+                    }
+                }
+            } else {
+                shift = (rateHigh & 3) + ENVELOPE_STEPS[rateLow][chip.envelopeTimerLow];
+                if (shift & 4) {
+                    shift = 4;
+                }
+                if (!shift) {
+                    shift = chip.envelopeState;
+                }
+            }
+        }
+
+        let level = slot.envelope;
+        let increment = 0;
+        // Instant attack
+        if (reset && rateHigh === 0x0F) {
+            level = 0;
+        }
+        const off = (level & 0x1F8) === 0x1F8;
+        if (slot.stage !== ATTACK && !reset && off) {
+            level = 0x1FF;
+        }
+        switch (slot.stage) {
+            case ATTACK:
+                if (level === 0) {
+                    slot.stage = DECAY;
+                } else if (slot.key && shift > 0 && rateHigh !== 0x0F) {
+                    increment = (~level) >> (4 - shift);
+                }
+                break;
+            case DECAY:
+                if ((level >> 4) === slot.sustain) {
+                    slot.stage = SUSTAIN;
+                } else if (!off && !reset && shift > 0) {
+                    increment = 1 << (shift - 1);
+                }
+                break;
+            default:
+                if (!off && !reset && shift > 0) {
+                    increment = 1 << (shift - 1);
+                }
+                break;
+        }
+        slot.envelope = (level + increment) & 0x1FF;
+        if (reset) {
+            slot.stage = ATTACK;
+        }
+        if (!slot.key) {
+            slot.stage = RELEASE;
+        }
+    };
+
+    const phase = (slot) => {
+        let fnum = slot.channel.fnum;
+        if (slot.vibrato) {
+            let range = (fnum >> 7) & 7;
+            const position = chip.vibratoPosition;
+            if (!(position & 3)) {
+                range = 0;
+            } else if (position & 1) {
+                range >>= 1;
+            }
+            range >>= chip.vibratoShift;
+            if (position & 4) {
+                range = -range;
+            }
+            fnum += range;
+        }
+        const base = (fnum << slot.channel.block) >> 1;
+        slot.phaseOut = slot.phase >> 9;
+        if (slot.reset) {
+            slot.phase = 0;
+        }
+        slot.phase = (slot.phase + ((base * MULTIPLIERS[slot.mult]) >> 1)) & 0x7FFFF;
+    };
+
+    const operator = (slot, modulation) => {
+        envelope(slot);
+        phase(slot);
+        slot.out = waveOutput(slotWave(slot), slot.phaseOut + modulation, slot.envelopeOut);
+        return slot.out;
+    };
+
+    // Channels whose operators are both silent and released are skipped, they
+    // would only add their resting output
+    const silent = (slot) => slot.stage === RELEASE && slot.envelope === 0x1FF && !slot.key;
+
+    const generate = (samples, from, to) => {
+        for (let i = from; i < to; i++) {
+            let mix = 0;
+            for (let c = 0; c < channelCount; c++) {
+                const channel = channels[c];
+                const [modulator, carrier] = channel.slots;
+                if (silent(modulator) && silent(carrier)) {
+                    continue;
+                }
+
+                modulator.feedback = channel.feedback ? (modulator.previous + modulator.out) >> (9 - channel.feedback) : 0;
+                modulator.previous = modulator.out;
+                const mod = operator(modulator, modulator.feedback);
+                const car = operator(carrier, channel.additive ? 0 : mod);
+                // OPL3 channels play on the sides enabled in register 0xC0
+                if (!chip.newMode || channel.output) {
+                    mix += channel.additive ? mod + car : car;
+                }
+            }
+            samples[i] += Math.max(-32768, Math.min(32767, mix)) / 32768;
+
+            // Tremolo, vibrato and the envelope timer
+            if ((chip.timer & 0x3F) === 0x3F) {
+                chip.tremoloPosition = (chip.tremoloPosition + 1) % 210;
+            }
+            chip.tremolo = (chip.tremoloPosition < 105 ? chip.tremoloPosition : 210 - chip.tremoloPosition) >> chip.tremoloShift;
+            if ((chip.timer & 0x3FF) === 0x3FF) {
+                chip.vibratoPosition = (chip.vibratoPosition + 1) & 7;
+            }
+            chip.timer = (chip.timer + 1) & 0xFFFFFF;
+
+            if (chip.envelopeState) {
+                let shift = 0;
+                while (shift < 13 && ((chip.envelopeTimer >> shift) & 1) === 0) {
+                    shift++;
+                }
+                chip.envelopeAdd = shift > 12 ? 0 : shift + 1;
+                chip.envelopeTimerLow = chip.envelopeTimer & 3;
+                chip.envelopeTimer = (chip.envelopeTimer + 1) & 0xFFFFFF;
+            }
+            chip.envelopeState ^= 1;
+        }
+    };
+
+    // True once every operator has faded out and none is keyed on
+    const quiet = () => slots.every(silent);
+
+    return { write: write, generate: generate, quiet: quiet };
+}
+
+module.exports = { OPL_RATE, createOpl };
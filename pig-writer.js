@@ -0,0 +1,340 @@
+const fs = require('fs');
+const path = require('path');
+const PNG = require('pngjs').PNG;
+const { readPig, decodeBitmap, decodeSound } = require('./extractor');
+const { TRANSPARENT_INDEX, SUPER_TRANSPARENT_INDEX, loadDescentPalette, rgbaToIndices } = require('./gif-encoder');
+
+const texturesDir = './converted/textures';
+const soundsDir = './converted/sounds';
+
+// Same values as the PIG bitmap flags in extractor.js
+const BM_FLAG_TRANSPARENT = 1;
+const BM_FLAG_SUPER_TRANSPARENT = 2;
+const BM_FLAG_RLE = 8;
+const BM_FLAG_RLE_BIG = 32;
+
+// Bitmap header size by game, Descent II adds a byte with the extra width/height
+// bits, Descent 1 only has DBM_FLAG_LARGE for widths of 256 to 511
+const BITMAP_HEADER_SIZE = { 1: 17, 2: 18 };
+const MAX_BITMAP_SIZE = { 1: { width: 511, height: 255 }, 2: { width: 4095, height: 4095 } };
+const DBM_FLAG_LARGE = 128;
+const SOUND_HEADER_SIZE = 20;
+const SOUND_RATE = 11025;
+
+// RGBA palette for decodeBitmap(), which sets the alpha of 254 and 255 from the bitmap flags
+function rgbaPalette(palette) {
+    const rgba = Buffer.alloc(256 * 4);
+    for (let i = 0; i < 256; i++) {
+        rgba[i * 4 + 0] = palette[i * 3 + 0];
+        rgba[i * 4 + 1] = palette[i * 3 + 1];
+        rgba[i * 4 + 2] = palette[i * 3 + 2];
+        rgba[i * 4 + 3] = (i === TRANSPARENT_INDEX || i === SUPER_TRANSPARENT_INDEX) ? 0 : 255;
+    }
+    return rgba;
+}
+
+/**
+ * RLE compresses palette indices like gr_bitmap_rle_compress(): a 4 byte total
+ * size, one size per line (bytes, or shorts when big) and each line as runs of
+ * 0xE0|count, color (literal bytes below 0xE0) ending with a zero count.
+ */
+function rleEncode(indices, width, height, big) {
+    const lines = [];
+    for (let y = 0; y < height; y++) {
+        const line = [];
+        let x = 0;
+        while (x < width) {
+            const color = indices[y * width + x];
+            let count = 1;
+            while (x + count < width && count < 31 && indices[y * width + x + count] === color) {
+                count++;
+            }
+            if (count > 1 || (color & 0xE0) === 0xE0) {
+                line.push(0xE0 | count, color);
+            } else {
+                line.push(color);
+            }
+            x += count;
+        }
+        line.push(0xE0);
+        if (!big && line.length > 255) {
+            throw new Error(`RLE line ${y} is ${line.length} bytes, too long without BM_FLAG_RLE_BIG`);
+        }
+        lines.push(Buffer.from(line));
+    }
+
+    const table = Buffer.alloc(height * (big ? 2 : 1));
+    lines.forEach((line, y) => {
+        if (big) {
+            table.writeUInt16LE(line.length, y * 2);
+        } else {
+            table.writeUInt8(line.length, y);
+        }
+    });
+    const total = Buffer.alloc(4);
+    total.writeUInt32LE(4 + table.length + lines.reduce((sum, line) => sum + line.length, 0));
+    return Buffer.concat([total, table, ...lines]);
+}
+
+// Bitmap data and flags for an edited texture, compressed like the original was.
+// Indices 255 and 254 are kept for the see-through pixels of bitmaps with the
+// transparent and super-transparent flags, other bitmaps can use their colors.
+function encodeTexture(texture, png, palette, game) {
+    if (png.width > MAX_BITMAP_SIZE[game].width || png.height > MAX_BITMAP_SIZE[game].height) {
+        throw new Error(`${png.width}x${png.height} is larger than a PIG bitmap can be`);
+    }
+    let flag = texture.flag;
+    const reserved = [];
+    if (flag & BM_FLAG_SUPER_TRANSPARENT) reserved.push(SUPER_TRANSPARENT_INDEX);
+    if (flag & BM_FLAG_TRANSPARENT) reserved.push(TRANSPARENT_INDEX);
+    const indices = Buffer.from(rgbaToIndices(png.data, palette, reserved));
+
+    if (!(flag & (BM_FLAG_RLE | BM_FLAG_RLE_BIG))) {
+        return { data: indices, flag: flag };
+    }
+
+    let data = null;
+    try {
+        data = rleEncode(indices, png.width, png.height, (flag & BM_FLAG_RLE_BIG) !== 0);
+    } catch (error) {
+        // Lines too long for byte sizes need the big variant, which Descent 1
+        // doesn't have: there the bitmap is stored uncompressed
+        if (game === 1) {
+            return { data: indices, flag: flag & ~(BM_FLAG_RLE | BM_FLAG_RLE_BIG) };
+        }
+        flag |= BM_FLAG_RLE_BIG;
+        data = rleEncode(indices, png.width, png.height, true);
+    }
+    return { data: data, flag: flag };
+}
+
+/**
+ * Mono 8-bit unsigned PCM at 11025 Hz, the format PIG sounds are stored in,
+ * from a PCM WAV (8 or 16 bits, any channel count or rate).
+ */
+function wavToPcm(buffer) {
+    if (buffer.toString('latin1', 0, 4) !== 'RIFF' || buffer.toString('latin1', 8, 12) !== 'WAVE') {
+        throw new Error('Not a RIFF WAVE file');
+    }
+
+    let format = null;
+    let samples = null;
+    let offset = 12;
+    while (offset + 8 <= buffer.length) {
+        const id = buffer.toString('latin1', offset, offset + 4);
+        const size = buffer.readUInt32LE(offset + 4);
+        const body = buffer.subarray(offset + 8, offset + 8 + size);
+        if (id === 'fmt ') {
+            format = {
+                audioFormat: body.readUInt16LE(0),
+                channels: body.readUInt16LE(2),
+                rate: body.readUInt32LE(4),
+                bits: body.readUInt16LE(14)
+            };
+        } else if (id === 'data') {
+            samples = body;
+        }
+        offset += 8 + size + (size % 2);
+    }
+
+    if (!format || !samples) {
+        throw new Error('Missing fmt or data chunk');
+    }
+    if (format.audioFormat !== 1 || (format.bits !== 8 && format.bits !== 16)) {
+        throw new Error(`Unsupported WAV format ${format.audioFormat} (${format.bits} bits), expected PCM 8 or 16 bits`);
+    }
+
+    // Down mix to mono in the -1..1 range
+    const bytes = format.bits / 8;
+    const frames = Math.floor(samples.length / (bytes * format.channels));
+    const mono = new Float32Array(frames);
+    for (let i = 0; i < frames; i++) {
+        let sum = 0;
+        for (let c = 0; c < format.channels; c++) {
+            const at = (i * format.channels + c) * bytes;
+            sum += format.bits === 8 ? (samples[at] - 128) / 128 : samples.readInt16LE(at) / 32768;
+        }
+        mono[i] = sum / format.channels;
+    }
+
+    // Linear resampling to the game rate
+    const length = format.rate === SOUND_RATE ? frames : Math.floor(frames * SOUND_RATE / format.rate);
+    const pcm = Buffer.alloc(length);
+    for (let i = 0; i < length; i++) {
+        const position = i * format.rate / SOUND_RATE;
+        const i0 = Math.min(Math.floor(position), frames - 1);
+        const i1 = Math.min(i0 + 1, frames - 1);
+        const value = mono[i0] + (mono[i1] - mono[i0]) * (position - i0);
+        pcm[i] = Math.max(0, Math.min(255, Math.round(value * 128 + 128)));
+    }
+    return pcm;
+}
+
+/**
+ * Rebuilds a PIG from the original one with edited textures and sounds.
+ * textures: { "name_frame": PNG } and sounds: { name: WAV buffer }. Entries
+ * that are missing or unchanged keep their original bytes, so the game data,
+ * header order, frame/ABM bits, flags and ave_color all carry over.
+ */
+function writePig(original, textures, sounds, palette) {
+    const pig = readPig(original);
+    const paletteRgba = rgbaPalette(palette);
+    const headerSize = BITMAP_HEADER_SIZE[pig.game];
+    const texturesOffset = pig.headerOffset;
+    const soundsOffset = texturesOffset + pig.textures.length * headerSize;
+    const result = { textures: [], sounds: [] };
+
+    const chunks = [];
+    let dataLength = 0;
+    const addData = (data) => {
+        chunks.push(data);
+        dataLength += data.length;
+        return dataLength - data.length;
+    };
+
+    const textureHeaders = pig.textures.map((texture, i) => {
+        const header = Buffer.from(original.subarray(texturesOffset + i * headerSize, texturesOffset + (i + 1) * headerSize));
+        const key = `${texture.name}_${texture.frame}`;
+        const png = textures[key];
+        let data = null;
+
+        if (png) {
+            let unchanged = false;
+            try {
+                const bitmap = decodeBitmap(texture, paletteRgba);
+                unchanged = bitmap.width === png.width && bitmap.height === png.height && bitmap.data.equals(png.data);
+            } catch (error) {
+                // Original can't be decoded, so take the PNG
+            }
+            if (!unchanged) {
+                const encoded = encodeTexture(texture, png, palette, pig.game);
+                data = encoded.data;
+                header[9] = png.width & 0xFF;
+                header[10] = png.height & 0xFF;
+                if (pig.game === 2) {
+                    header[11] = ((png.width >> 8) & 0x0F) | ((png.height >> 4) & 0xF0);
+                    header[12] = encoded.flag;
+                } else {
+                    header[8] = (header[8] & ~DBM_FLAG_LARGE) | (png.width > 255 ? DBM_FLAG_LARGE : 0);
+                    header[11] = encoded.flag;
+                }
+                result.textures.push(key);
+            }
+        }
+
+        if (!data) {
+            data = originalBitmapData(texture, pig);
+        }
+        header.writeUInt32LE(addData(data), headerSize - 4);
+        return header;
+    });
+
+    const soundHeaders = pig.sounds.map((sound, i) => {
+        const header = Buffer.from(original.subarray(soundsOffset + i * SOUND_HEADER_SIZE, soundsOffset + (i + 1) * SOUND_HEADER_SIZE));
+        const wav = sounds[sound.name];
+        let data = sound.data.subarray(0, sound.data_length);
+
+        if (wav && !sameSound(wav, sound)) {
+            data = wavToPcm(wav);
+            header.writeInt32LE(data.length, 8);
+            header.writeInt32LE(data.length, 12);
+            result.sounds.push(sound.name);
+        }
+        header.writeInt32LE(addData(data), 16);
+        return header;
+    });
+
+    result.pig = Buffer.concat([
+        original.subarray(0, texturesOffset),
+        ...textureHeaders,
+        ...soundHeaders,
+        ...chunks
+    ]);
+    return result;
+}
+
+// Whether a WAV is the sound as the extractor writes it. Sounds that can't be
+// decoded (compressed shareware ones) are always replaced.
+function sameSound(wav, sound) {
+    try {
+        return wav.equals(decodeSound(sound));
+    } catch (error) {
+        return false;
+    }
+}
+
+// Bytes a bitmap takes in the original PIG: up to the next bitmap or sound
+function originalBitmapData(texture, pig) {
+    let end = texture.data.length;
+    pig.textures.concat(pig.sounds).forEach(entry => {
+        const distance = entry.offset - texture.offset;
+        if (distance > 0 && distance < end) {
+            end = distance;
+        }
+    });
+    return texture.data.subarray(0, end);
+}
+
+function loadTextures(dir) {
+    const textures = {};
+    if (!fs.existsSync(dir)) {
+        return textures;
+    }
+    fs.readdirSync(dir).filter(file => path.extname(file) === '.png').forEach(file => {
+        textures[path.basename(file, '.png')] = PNG.sync.read(fs.readFileSync(path.join(dir, file)));
+    });
+    return textures;
+}
+
+function loadSounds(dir) {
+    const sounds = {};
+    if (!fs.existsSync(dir)) {
+        return sounds;
+    }
+    fs.readdirSync(dir).filter(file => path.extname(file) === '.wav').forEach(file => {
+        sounds[path.basename(file, '.wav')] = fs.readFileSync(path.join(dir, file));
+    });
+    return sounds;
+}
+
+function main() {
+    const argv = process.argv.slice(2);
+    const positional = [];
+    const options = { textures: texturesDir, sounds: soundsDir };
+    for (let i = 0; i < argv.length; i++) {
+        const match = argv[i].match(/^--(textures|sounds)(?:=(.*))?$/);
+        if (match) {
+            options[match[1]] = match[2] !== undefined ? match[2] : argv[++i];
+        } else {
+            positional.push(argv[i]);
+        }
+    }
+
+    if (positional.length !== 2) {
+        console.log('Usage: node pig-writer.js <original.pig> <output.pig> [--textures dir] [--sounds dir]');
+        process.exit(1);
+    }
+    const [input, output] = positional;
+
+    console.log('Descent PIG Writer');
+    console.log('==================');
+
+    const palette = loadDescentPalette();
+    const result = writePig(fs.readFileSync(input), loadTextures(options.textures), loadSounds(options.sounds), palette);
+    fs.writeFileSync(output, result.pig);
+
+    result.textures.forEach(name => console.log(`✓ Texture: ${name}`));
+    result.sounds.forEach(name => console.log(`✓ Sound: ${name}`));
+    console.log(`\nDone! Wrote ${output} with ${result.textures.length} edited textures and ${result.sounds.length} edited sounds`);
+}
+
+if (require.main === module) {
+    try {
+        main();
+    } catch (error) {
+        console.error(`✗ ${error.message}`);
+        process.exit(1);
+    }
+}
+
+module.exports = { writePig, rleEncode, wavToPcm };
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { decodeHmp } = require('../extractor');
+
+// HMP delta: 7 bit groups low first, the high bit marks the last byte
+function hmpDelta(delta) {
+    const bytes = [];
+    do {
+        bytes.push(delta & 0x7F);
+        delta >>= 7;
+    } while (delta);
+    bytes[bytes.length - 1] |= 0x80;
+    return bytes;
+}
+
+// HMP file with the HMI track and the given music tracks
+function hmpFile(tracks, tempo) {
+    const header = Buffer.alloc(0x308);
+    header.write('HMIMIDIP', 0, 'latin1');
+    header.writeInt32LE(tracks.length + 1, 0x30);
+    header.writeInt32LE(tempo, 0x38);
+    const chunk = (i, data) => {
+        const chunkHeader = Buffer.alloc(12);
+        chunkHeader.writeInt32LE(i, 0);
+        chunkHeader.writeInt32LE(data.length + 12, 4);
+        chunkHeader.writeInt32LE(i, 8);
+        return Buffer.concat([chunkHeader, data]);
+    };
+    const hmi = Buffer.from([...hmpDelta(0), 0xFF, 0x2F, 0]);
+    return Buffer.concat([header, chunk(0, hmi), ...tracks.map((track, i) => chunk(i + 1, Buffer.from(track)))]);
+}
+
+// MIDI chunks by id, in order
+function midiChunks(buffer) {
+    const chunks = [];
+    for (let offset = 0; offset < buffer.length;) {
+        const length = buffer.readUInt32BE(offset + 4);
+        chunks.push({ id: buffer.toString('latin1', offset, offset + 4), data: buffer.subarray(offset + 8, offset + 8 + length) });
+        offset += 8 + length;
+    }
+    return chunks;
+}
+
+test('decodeHmp writes a type 1 MIDI file with a tempo track', () => {
+    const track = [...hmpDelta(0), 0xC0, 5, ...hmpDelta(0), 0x90, 60, 100, ...hmpDelta(200), 60, 0, ...hmpDelta(0), 0xFF, 0x2F, 0];
+    const chunks = midiChunks(decodeHmp(hmpFile([track], 120)));
+
+    assert.deepStrictEqual(chunks.map(chunk => chunk.id), ['MThd', 'MTrk', 'MTrk']);
+    assert.strictEqual(chunks[0].data.readUInt16BE(0), 1);
+    assert.strictEqual(chunks[0].data.readUInt16BE(2), 2);
+    // 120 HMP ticks per second at the 0x188000 us per quarter note tempo
+    assert.strictEqual(chunks[0].data.readUInt16BE(4), 193);
+    assert.deepStrictEqual([...chunks[1].data], [0, 0xFF, 0x51, 3, 0x18, 0x80, 0x00, 0, 0xFF, 0x2F, 0]);
+});
+
+test('decodeHmp rewrites the delta times and keeps running status', () => {
+    const track = [...hmpDelta(0), 0xC0, 5, ...hmpDelta(0), 0x90, 60, 100, ...hmpDelta(200), 60, 0, ...hmpDelta(10), 0xE0, 0, 64, ...hmpDelta(0), 0xFF, 0x2F, 0];
+    const chunks = midiChunks(decodeHmp(hmpFile([track], 120)));
+    assert.deepStrictEqual([...chunks[2].data], [
+        0, 0xC0, 5,
+        0, 0x90, 60, 100,
+        0x81, 0x48, 0x90, 60, 0,
+        10, 0xE0, 0, 64,
+        0, 0xFF, 0x2F, 0
+    ]);
+});
+
+test('decodeHmp ends tracks that stop without their end marker', () => {
+    const chunks = midiChunks(decodeHmp(hmpFile([[...hmpDelta(0), 0x90, 60, 100]], 120)));
+    assert.deepStrictEqual([...chunks[2].data], [0, 0x90, 60, 100, 0, 0xFF, 0x2F, 0]);
+});
+
+test('decodeHmp refuses files that are not HMP', () => {
+    assert.throws(() => decodeHmp(Buffer.alloc(0x400)), /HMIMIDIP/);
+});
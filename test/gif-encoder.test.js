@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { GifReader } = require('omggif');
+const { encodeGif } = require('../gif-encoder');
+
+// Palette with a distinct color per index, so decoded pixels map back to indices
+function testPalette() {
+    const palette = Buffer.alloc(768);
+    for (let i = 0; i < 256; i++) {
+        palette[i * 3 + 0] = i;
+        palette[i * 3 + 1] = 255 - i;
+        palette[i * 3 + 2] = (i * 7) & 0xFF;
+    }
+    return palette;
+}
+
+// Repeatable pseudo random indices, enough of them to fill the LZW dictionary
+function noise(length, seed) {
+    const indices = new Uint8Array(length);
+    let x = seed;
+    for (let i = 0; i < length; i++) {
+        x = (x * 1103515245 + 12345) & 0x7FFFFFFF;
+        indices[i] = (x >> 16) & 0xFF;
+    }
+    return indices;
+}
+
+function decodedIndices(reader, frame, palette) {
+    const rgba = new Uint8Array(reader.width * reader.height * 4);
+    reader.decodeAndBlitFrameRGBA(frame, rgba);
+    const indices = new Uint8Array(reader.width * reader.height);
+    for (let p = 0; p < indices.length; p++) {
+        indices[p] = rgba[p * 4];
+        assert.strictEqual(rgba[p * 4 + 1], palette[indices[p] * 3 + 1]);
+        assert.strictEqual(rgba[p * 4 + 2], palette[indices[p] * 3 + 2]);
+    }
+    return indices;
+}
+
+test('encodeGif frames decode back to the same indices', () => {
+    const palette = testPalette();
+    const flat = new Uint8Array(64 * 48).fill(17);
+    const frames = [
+        { width: 64, height: 48, indices: noise(64 * 48, 1) },
+        { width: 64, height: 48, indices: flat },
+        { width: 64, height: 48, indices: noise(64 * 48, 2) }
+    ];
+    const reader = new GifReader(encodeGif(frames, { palette: palette, delay: 7, loop: 0 }));
+
+    assert.strictEqual(reader.numFrames(), 3);
+    assert.strictEqual(reader.loopCount(), 0);
+    frames.forEach((frame, i) => {
+        assert.deepStrictEqual(decodedIndices(reader, i, palette), frame.indices);
+    });
+});
+
+test('encodeGif keeps the dictionary right past 4096 codes', () => {
+    const palette = testPalette();
+    const frame = { width: 320, height: 200, indices: noise(320 * 200, 3) };
+    const reader = new GifReader(encodeGif([frame], { palette: palette }));
+    assert.deepStrictEqual(decodedIndices(reader, 0, palette), frame.indices);
+});
+
+test('encodeGif frame delays override the default one', () => {
+    const palette = testPalette();
+    const frame = (delay) => ({ width: 4, height: 4, indices: new Uint8Array(16), delay: delay });
+    const reader = new GifReader(encodeGif([frame(undefined), frame(300)], { palette: palette, delay: 3 }));
+    assert.strictEqual(reader.frameInfo(0).delay, 3);
+    assert.strictEqual(reader.frameInfo(1).delay, 300);
+});
+
+test('encodeGif writes the transparent index', () => {
+    const palette = testPalette();
+    const indices = new Uint8Array(16).fill(255);
+    const reader = new GifReader(encodeGif([{ width: 4, height: 4, indices: indices }], { palette: palette, transparentIndex: 255 }));
+    assert.strictEqual(reader.frameInfo(0).transparent_index, 255);
+});
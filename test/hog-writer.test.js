@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { readHog } = require('../extractor');
+const { writeHog, updateHog } = require('../hog-writer');
+
+const entries = [
+    { file_name: 'palette.256', data: Buffer.from([1, 2, 3]) },
+    { file_name: 'level01.rdl', data: Buffer.alloc(1000, 7) },
+    { file_name: 'game01.hmp', data: Buffer.alloc(0) },
+    { file_name: 'a.b', data: Buffer.from('short name') }
+];
+
+test('writeHog entries read back with their names, order and data', () => {
+    const hog = readHog(writeHog(entries));
+    assert.deepStrictEqual(hog.map(file => file.file_name), entries.map(entry => entry.file_name));
+    hog.forEach((file, i) => {
+        assert.strictEqual(file.file_size, entries[i].data.length);
+        assert.deepStrictEqual(Buffer.from(file.data), entries[i].data);
+    });
+});
+
+test('writeHog refuses names that are not 8.3 and duplicates', () => {
+    assert.throws(() => writeHog([{ file_name: 'toolongname.rdl', data: Buffer.alloc(1) }]), /8\.3/);
+    assert.throws(() => writeHog([entries[0], { file_name: 'PALETTE.256', data: Buffer.alloc(1) }]), /Duplicate/);
+});
+
+test('updateHog replaces in place, appends and deletes', () => {
+    const updated = readHog(updateHog(writeHog(entries), {
+        replace: { 'LEVEL01.RDL': Buffer.from('new level') },
+        add: { 'level02.rdl': Buffer.from('added') },
+        remove: ['game01.hmp']
+    }));
+    assert.deepStrictEqual(updated.map(file => file.file_name), ['palette.256', 'level01.rdl', 'a.b', 'level02.rdl']);
+    assert.strictEqual(Buffer.from(updated[1].data).toString(), 'new level');
+    assert.strictEqual(Buffer.from(updated[3].data).toString(), 'added');
+});
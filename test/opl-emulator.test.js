@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { OPL_RATE, createOpl } = require('../opl-emulator');
+
+// Channel 0 with a silent modulator and a sustained carrier at full level
+function sineChannel(opl, wave) {
+    opl.write(0x01, 0x20);
+    opl.write(0x20, 0x21);
+    opl.write(0x23, 0x21);
+    opl.write(0x40, 0x3F);
+    opl.write(0x43, 0x00);
+    opl.write(0x60, 0xF0);
+    opl.write(0x63, 0xF0);
+    opl.write(0x80, 0x0F);
+    opl.write(0x83, 0x0F);
+    opl.write(0xE3, wave);
+}
+
+// 440 Hz in block 4
+const FNUM = Math.round(440 * Math.pow(2, 16) / OPL_RATE);
+
+function keyOn(opl, on) {
+    opl.write(0xA0, FNUM & 0xFF);
+    opl.write(0xB0, (on ? 0x20 : 0) | (4 << 2) | (FNUM >> 8));
+}
+
+function render(opl, seconds) {
+    const samples = new Float32Array(Math.round(OPL_RATE * seconds));
+    opl.generate(samples, 0, samples.length);
+    return samples;
+}
+
+test('a keyed on sine plays at the F-number frequency and full level', () => {
+    const opl = createOpl(false);
+    sineChannel(opl, 0);
+    keyOn(opl, true);
+    const samples = render(opl, 1);
+
+    let crossings = 0;
+    let peak = 0;
+    for (let i = 1; i < samples.length; i++) {
+        if (samples[i - 1] < 0 && samples[i] >= 0) {
+            crossings++;
+        }
+        peak = Math.max(peak, samples[i]);
+    }
+    assert.ok(Math.abs(crossings - 440) <= 1, `${crossings} cycles`);
+    assert.strictEqual(Math.round(peak * 32768), 4084);
+});
+
+test('a key off decays to silence at the release rate', () => {
+    const opl = createOpl(false);
+    sineChannel(opl, 0);
+    keyOn(opl, true);
+    render(opl, 0.1);
+    keyOn(opl, false);
+    const samples = render(opl, 1);
+    assert.ok(samples.slice(0, 100).some(sample => sample !== 0));
+    assert.ok(samples.slice(-1000).every(sample => sample === 0));
+    assert.ok(opl.quiet());
+});
+
+test('the OPL2 only has the first 4 waveforms, the OPL3 all 8 in its own mode', () => {
+    // Waveform 6 is a square wave on the OPL3, the OPL2 plays it as waveform 2
+    const levels = (opl) => {
+        sineChannel(opl, 6);
+        keyOn(opl, true);
+        return new Set(render(opl, 0.05).slice(1000).map(sample => Math.round(Math.abs(sample) * 32768)));
+    };
+    const opl2 = createOpl(false);
+    assert.ok(levels(opl2).size > 2);
+
+    const opl3 = createOpl(true);
+    opl3.write(0x105, 0x01);
+    // In its own mode an OPL3 channel only plays on the sides enabled in 0xC0
+    opl3.write(0xC0, 0x30);
+    assert.deepStrictEqual([...levels(opl3)].sort(), [4084, 4085]);
+});
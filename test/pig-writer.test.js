@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { decodeBitmap } = require('../extractor');
+const { rleEncode } = require('../pig-writer');
+
+// Same values as the PIG bitmap flags in extractor.js
+const BM_FLAG_RLE = 8;
+const BM_FLAG_RLE_BIG = 32;
+
+// Runs, single pixels and colors with the run bits set (0xE0 and above)
+function testIndices(width, height) {
+    const indices = Buffer.alloc(width * height);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            indices[y * width + x] = x < width / 2 ? (y * 16) & 0xFF : (x * 37 + y) & 0xFF;
+        }
+    }
+    return indices;
+}
+
+function decodedIndices(data, width, height, flag) {
+    return decodeBitmap({ xsize: width, ysize: height, flag: flag, data: data }, Buffer.alloc(256 * 4)).indices;
+}
+
+test('rleEncode lines decode back to the same indices', () => {
+    const indices = testIndices(64, 64);
+    const data = rleEncode(indices, 64, 64, false);
+    assert.deepStrictEqual(decodedIndices(data, 64, 64, BM_FLAG_RLE), indices);
+    assert.strictEqual(data.readUInt32LE(0), data.length);
+});
+
+test('rleEncode with big line sizes decodes with BM_FLAG_RLE_BIG', () => {
+    const indices = testIndices(320, 8);
+    const data = rleEncode(indices, 320, 8, true);
+    assert.deepStrictEqual(decodedIndices(data, 320, 8, BM_FLAG_RLE | BM_FLAG_RLE_BIG), indices);
+});
+
+test('rleEncode refuses lines too long for byte sizes', () => {
+    const indices = Buffer.alloc(300);
+    for (let x = 0; x < 300; x++) {
+        indices[x] = x & 0x7F;
+    }
+    assert.throws(() => rleEncode(indices, 300, 1, false), /too long/);
+});
+
+test('rleEncode splits runs longer than 31 pixels', () => {
+    const indices = Buffer.alloc(100 * 2, 5);
+    const data = rleEncode(indices, 100, 2, false);
+    assert.deepStrictEqual(decodedIndices(data, 100, 2, BM_FLAG_RLE), indices);
+});
@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { decodeTxb } = require('../extractor');
+const { encodeTxb } = require('../txb-writer');
+
+test('encodeTxb output decodes back to the same text', () => {
+    const text = '$S1\nWelcome, Material Defender.\n$C2\tMine:\tLunar Outpost\n$P\néüÿ\n';
+    const buffer = encodeTxb(text);
+    assert.strictEqual(buffer.length, text.length);
+    assert.strictEqual(decodeTxb(buffer), text);
+});
+
+test('encodeTxb keeps newlines as they are', () => {
+    const buffer = encodeTxb('a\nb');
+    assert.strictEqual(buffer[1], 0x0A);
+});
+
+test('encodeTxb round trips every 8-bit character it can store', () => {
+    let text = '';
+    for (let c = 0; c < 256; c++) {
+        // 0x8f scrambles to the newline byte
+        if (c !== 0x8F) {
+            text += String.fromCharCode(c);
+        }
+    }
+    assert.strictEqual(decodeTxb(encodeTxb(text)), text);
+});
+
+test('encodeTxb refuses characters that would read back as newlines', () => {
+    assert.throws(() => encodeTxb('a\u008fb'), /round trip/);
+});
+
+test('encodeTxb refuses characters above 8 bits', () => {
+    assert.throws(() => encodeTxb('€'), /can't be stored/);
+});
@@ -1,9 +1,15 @@
 const fs = require('fs');
 const path = require('path');
-const { exec } = require('child_process');
+const PNG = require('pngjs').PNG;
+const { TRANSPARENT_INDEX, SUPER_TRANSPARENT_INDEX, loadDescentPalette, rgbaToIndices } = require('./gif-encoder');
 
 const texturesDir = './converted/textures';
 const outputDir = './converted/transparent';
+const headersFile = path.join(texturesDir, 'textures.json');
+
+// Same values as the PIG bitmap flags in extractor.js
+const BM_FLAG_TRANSPARENT = 1;
+const BM_FLAG_SUPER_TRANSPARENT = 2;
 
 // Ensure output directory exists
 if (!fs.existsSync(outputDir)) {
@@ -15,173 +21,161 @@ function getAllPngFiles() {
     return files.filter(file => path.extname(file) === '.png');
 }
 
-function makeTransparentWithImageMagick(inputFile, outputFile) {
-    return new Promise((resolve, reject) => {
-        const inputPath = path.join(texturesDir, inputFile);
-        const outputPath = path.join(outputDir, outputFile);
-        
-        // ImageMagick command to make black pixels transparent
-        // -fuzz allows for slight variations in black color
-        let command;
-        if (global.imageMagickPath) {
-            command = `${global.imageMagickPath} "${inputPath}" -fuzz 5% -transparent black "${outputPath}"`;
-        } else {
-            command = `magick "${inputPath}" -fuzz 5% -transparent black "${outputPath}"`;
-        }
-        
-        exec(command, (error, stdout, stderr) => {
-            if (error) {
-                console.error(`Error processing ${inputFile}:`, error.message);
-                reject(error);
-            } else {
-                console.log(`Processed: ${inputFile} → ${outputFile}`);
-                resolve(outputPath);
-            }
+// Bitmap flags by file name, from the headers the extractor writes next to the textures
+function loadTextureFlags() {
+    const flags = {};
+    if (fs.existsSync(headersFile)) {
+        JSON.parse(fs.readFileSync(headersFile)).forEach(texture => {
+            flags[`${texture.name}_${texture.frame}.png`] = texture.flag;
         });
-    });
+    }
+    return flags;
+}
+
+// Parses the super-transparent option: "transparent", "opaque" or an RRGGBB color
+function parseSuperTransparent(value) {
+    if (!value || value === 'transparent') {
+        return { mode: 'transparent' };
+    }
+    if (value === 'opaque') {
+        return { mode: 'opaque' };
+    }
+    const match = value.match(/^#?([0-9a-fA-F]{6})$/);
+    if (match) {
+        const rgb = parseInt(match[1], 16);
+        return { mode: 'color', color: [(rgb >> 16) & 0xFF, (rgb >> 8) & 0xFF, rgb & 0xFF] };
+    }
+    throw new Error(`Invalid super-transparent option: ${value}`);
 }
 
-function makeTransparentWithFFmpeg(inputFile, outputFile) {
-    return new Promise((resolve, reject) => {
-        const inputPath = path.join(texturesDir, inputFile);
-        const outputPath = path.join(outputDir, outputFile);
-        
-        // FFmpeg command to make black pixels transparent
-        const command = `ffmpeg -i "${inputPath}" -vf "colorkey=0x000000:0.1:0.1" -y "${outputPath}"`;
-        
-        exec(command, (error, stdout, stderr) => {
-            if (error) {
-                console.error(`Error processing ${inputFile}:`, error.message);
-                reject(error);
-            } else {
-                console.log(`Processed: ${inputFile} → ${outputFile}`);
-                resolve(outputPath);
+/**
+ * Builds RGBA pixels from palette indices the way the game draws bitmaps:
+ * index 255 is transparent with BM_FLAG_TRANSPARENT and index 254 is
+ * super-transparent with BM_FLAG_SUPER_TRANSPARENT. Without flags both
+ * indices are treated as see-through.
+ */
+function indicesToRgba(indices, palette, flag, superTransparent) {
+    if (flag === undefined || flag === null) {
+        flag = BM_FLAG_TRANSPARENT | BM_FLAG_SUPER_TRANSPARENT;
+    }
+    superTransparent = superTransparent || { mode: 'transparent' };
+
+    const rgba = Buffer.alloc(indices.length * 4);
+    for (let p = 0; p < indices.length; p++) {
+        const idx = indices[p];
+        rgba[p * 4 + 0] = palette[idx * 3 + 0];
+        rgba[p * 4 + 1] = palette[idx * 3 + 1];
+        rgba[p * 4 + 2] = palette[idx * 3 + 2];
+        rgba[p * 4 + 3] = 255;
+
+        if (idx === TRANSPARENT_INDEX && (flag & BM_FLAG_TRANSPARENT)) {
+            rgba[p * 4 + 3] = 0;
+        } else if (idx === SUPER_TRANSPARENT_INDEX && (flag & BM_FLAG_SUPER_TRANSPARENT)) {
+            if (superTransparent.mode === 'transparent') {
+                rgba[p * 4 + 3] = 0;
+            } else if (superTransparent.mode === 'color') {
+                rgba[p * 4 + 0] = superTransparent.color[0];
+                rgba[p * 4 + 1] = superTransparent.color[1];
+                rgba[p * 4 + 2] = superTransparent.color[2];
             }
-        });
-    });
+        }
+    }
+    return rgba;
+}
+
+// Palette indices the extractor writes next to each texture (name.idx), or
+// null when they are missing or don't match the PNG
+function readIndices(inputPath, png) {
+    const indexPath = inputPath.replace(/\.png$/, '.idx');
+    if (!fs.existsSync(indexPath)) {
+        return null;
+    }
+    const indices = fs.readFileSync(indexPath);
+    return indices.length === png.width * png.height ? indices : null;
+}
+
+function makeTransparent(inputFile, outputFile, palette, flag, superTransparent) {
+    const inputPath = path.join(texturesDir, inputFile);
+    const outputPath = path.join(outputDir, outputFile);
+
+    const png = PNG.sync.read(fs.readFileSync(inputPath));
+    let indices = readIndices(inputPath, png);
+    if (!indices) {
+        // Edited or older textures: match the colors back to the palette
+        console.log(`No palette indices for ${inputFile}, matching its colors to the palette`);
+        indices = rgbaToIndices(png.data, palette);
+    }
+    const out = new PNG({ width: png.width, height: png.height });
+    indicesToRgba(indices, palette, flag, superTransparent).copy(out.data);
+
+    fs.writeFileSync(outputPath, PNG.sync.write(out));
+    console.log(`Processed: ${inputFile} → ${outputFile}`);
+    return outputPath;
 }
 
-async function processImages() {
+async function processImages(options) {
+    options = options || {};
     const files = getAllPngFiles();
     console.log(`\nProcessing ${files.length} images for transparency...`);
-    
+
+    const palette = loadDescentPalette();
+    const flags = loadTextureFlags();
+    if (Object.keys(flags).length === 0) {
+        console.log(`No ${headersFile} found, using palette indices 255/254 for every texture.`);
+    }
+    const superTransparent = parseSuperTransparent(options.superTransparent);
+
     let successCount = 0;
     let failCount = 0;
-    
+
     for (const file of files) {
         try {
-            // Try ImageMagick first, fallback to FFmpeg
-            await makeTransparentWithImageMagick(file, file);
+            makeTransparent(file, file, palette, flags[file], superTransparent);
             successCount++;
         } catch (error) {
-            try {
-                await makeTransparentWithFFmpeg(file, file);
-                successCount++;
-            } catch (ffmpegError) {
-                console.error(`✗ Failed to process ${file}`);
-                failCount++;
-            }
+            console.error(`✗ Failed to process ${file}:`, error.message);
+            failCount++;
         }
     }
-    
+
     console.log(`\nDone! Processed ${successCount} images${failCount > 0 ? `, ${failCount} failed` : ''}`);
     console.log(`📁 Check the ./converted/transparent/ directory for your transparent textures.`);
 }
 
-// Check if required tools are available (same as gif creator)
-function checkDependencies() {
-    return new Promise((resolve) => {
-        exec('magick -version', (error) => {
-            if (!error) {
-                console.log('ImageMagick detected');
-                resolve('imagemagick');
-                return;
-            }
-            
-            exec('convert -version', (error) => {
-                if (!error) {
-                    console.log('ImageMagick detected (convert)');
-                    resolve('imagemagick-convert');
-                    return;
-                }
-                
-                const magickPath = process.env.MAGICK_PATH;
-                if (magickPath && fs.existsSync(magickPath)) {
-                    console.log(`ImageMagick found via MAGICK_PATH: ${magickPath}`);
-                    global.imageMagickPath = `"${magickPath}"`;
-                    resolve('imagemagick-path');
-                    return;
-                }
-                
-                const commonPaths = [
-                    'C:\\Program Files\\ImageMagick-7.1.2-Q16-HDRI\\magick.exe',
-                    'C:\\Program Files\\ImageMagick-7.1.1-Q16-HDRI\\magick.exe',
-                    'C:\\Program Files\\ImageMagick-7.1.0-Q16-HDRI\\magick.exe',
-                    'C:\\Program Files\\ImageMagick\\magick.exe',
-                    'C:\\ImageMagick\\magick.exe'
-                ];
-                
-                let found = false;
-                for (const imageMagickPath of commonPaths) {
-                    if (fs.existsSync(imageMagickPath)) {
-                        console.log(`ImageMagick found at: ${imageMagickPath}`);
-                        global.imageMagickPath = `"${imageMagickPath}"`;
-                        resolve('imagemagick-path');
-                        found = true;
-                        break;
-                    }
-                }
-                
-                if (!found) {
-                    exec('ffmpeg -version', (error) => {
-                        if (!error) {
-                            console.log('FFmpeg detected');
-                            resolve('ffmpeg');
-                        } else {
-                            console.log('No image processing tools found');
-                            resolve(null);
-                        }
-                    });
-                }
-            });
-        });
-    });
-}
-
 async function main() {
     console.log('Descent Texture Transparency Creator');
     console.log('=======================================');
-    
+
     if (!fs.existsSync(texturesDir)) {
         console.error(`Textures directory not found: ${texturesDir}`);
         console.log('Please run the extractor first to generate textures.');
         process.exit(1);
     }
-    
-    const tool = await checkDependencies();
-    
-    if (!tool) {
-        console.error('No image processing tools found.');
-        console.log('Please install ImageMagick or FFmpeg first.');
-        console.log('You can use the gif creator script to install ImageMagick automatically.');
-        process.exit(1);
-    }
-    
+
+    // --super-transparent=transparent|opaque|RRGGBB
+    const options = {};
+    process.argv.slice(2).forEach(arg => {
+        const match = arg.match(/^--super-transparent=(.*)$/);
+        if (match) {
+            options.superTransparent = match[1];
+        }
+    });
+
     console.log('Scanning for PNG files...');
     const files = getAllPngFiles();
-    
+
     if (files.length === 0) {
         console.log('No PNG files found.');
         return;
     }
-    
+
     console.log(`Found ${files.length} texture files to process`);
-    
-    await processImages();
+
+    await processImages(options);
 }
 
 if (require.main === module) {
     main().catch(console.error);
 }
 
-module.exports = { processImages };
\ No newline at end of file
+module.exports = { processImages, indicesToRgba };
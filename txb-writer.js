@@ -0,0 +1,67 @@
+const fs = require('fs');
+const path = require('path');
+const { decodeTxb } = require('./extractor');
+
+/**
+ * Scrambles briefing text the way .txb files store it, the inverse of
+ * decodeTxb(): every byte is xored with 0xa7 and rotated right by 2 bits,
+ * newlines are kept as they are.
+ * Text is a string of 8-bit characters, as decodeTxb() returns it.
+ */
+function encodeTxb(text) {
+    const buffer = Buffer.alloc(text.length);
+    for (let i = 0; i < text.length; i++) {
+        const c = text.charCodeAt(i);
+        if (c > 0xFF) {
+            throw new Error(`Character ${text[i]} at ${i} can't be stored in a TXB file`);
+        }
+        if (c === 0x0A) {
+            buffer[i] = c;
+        } else {
+            const x = c ^ 0xA7;
+            buffer[i] = ((x >> 2) | (x << 6)) & 0xFF;
+        }
+    }
+
+    // The character that scrambles to a newline byte would read back as one
+    const check = decodeTxb(buffer);
+    if (check !== text) {
+        let i = 0;
+        while (check[i] === text[i]) i++;
+        throw new Error(`Character 0x${text.charCodeAt(i).toString(16)} at ${i} doesn't survive the round trip`);
+    }
+    return buffer;
+}
+
+// Edited text as the 8-bit string the encoder takes. The extractor writes
+// the .txt files as UTF-8, plain 8-bit files are taken as they are.
+function readText(buffer) {
+    const text = buffer.toString('utf8');
+    return text.includes('\uFFFD') ? buffer.toString('latin1') : text;
+}
+
+function main() {
+    const argv = process.argv.slice(2);
+    if (argv.length < 1 || argv.length > 2) {
+        console.log('Usage: node txb-writer.js <briefing.txb.txt> [output.txb]');
+        process.exit(1);
+    }
+    const input = argv[0];
+    // converted/texts/briefing.txb.txt goes back to briefing.txb
+    const output = argv[1] || path.basename(input).replace(/\.txt$/i, '').replace(/(\.txb)?$/i, '.txb');
+
+    const buffer = encodeTxb(readText(fs.readFileSync(input)));
+    fs.writeFileSync(output, buffer);
+    console.log(`✓ Wrote ${output} (${buffer.length} bytes, round trip checked)`);
+}
+
+if (require.main === module) {
+    try {
+        main();
+    } catch (error) {
+        console.error(`✗ ${error.message}`);
+        process.exit(1);
+    }
+}
+
+module.exports = { encodeTxb };